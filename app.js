@@ -1,24 +1,153 @@
+import {
+  classifyLink,
+  enrichCourse,
+  findSearchMatches,
+  formatCreditValue,
+  formatCredits,
+  formatTaipeiDate,
+  hasCredits,
+  scoreSearch,
+  tokenizeSearch,
+} from './lib/courses.js';
+import {
+  WEEKDAY_LABELS,
+  addDays,
+  addMonths,
+  getCourseDay,
+  getMonthWeeks,
+  getWeekDays,
+  getWeekday,
+  isDayKey,
+} from './lib/calendar.js';
+import { buildCalendar, getCourseUid } from './lib/ics.js';
+
 const DATA_URL = './data/courses.json';
-const DEADLINE_SOON_DAYS = 7;
+const ARCHIVE_URL = './data/archive.json';
+const CHANGES_URL = './data/changes.json';
+const SEARCH_INDEX_URL = './data/search-index.json';
+const SERVICE_WORKER_URL = './sw.js';
+const OFFLINE_HEADER = 'X-Served-From-Cache';
+const CHANGE_HIGHLIGHT_DAYS = 7;
+const CHANGE_FIELD_LABELS = {
+  title: '課程名稱',
+  date: '課程日期',
+  time: '上課時間',
+  startAt: '開始時間',
+  endAt: '結束時間',
+  checkInAt: '報到時間',
+  registrationUrl: '報名連結',
+  credits: '學分',
+  attachments: '附件',
+  links: '課程連結',
+  venue: '上課地點',
+  speakers: '講師',
+  fee: '課程費用',
+  capacity: '名額',
+  organizer: '主辦單位',
+  registrationMarker: '報名狀態',
+  registrationOpens: '報名開始',
+  registrationDeadline: '報名截止',
+};
 const PREVIEW_VIEWER_BASE = 'https://docs.google.com/viewer?embedded=true&url=';
+const SITE_TITLE = 'COURSE｜高雄建築師公會';
+// #/course/1281 opens the course drawer
+const COURSE_ROUTE_PATTERN = /^#\/course\/([^/]+)$/;
 
 const BADGE_TEXT = {
   'due-soon': '即將開課',
   active: '尚未開課',
   expired: '已結束',
   'no-deadline': '尚未開課',
+  'registration-open': '報名中',
+  'registration-full': '已額滿',
+  'registration-closed': '報名截止',
+  'registration-not-yet-open': '尚未開放報名',
+};
+
+const STORAGE_KEYS = {
+  starred: 'kaa-courses:starred',
+  attended: 'kaa-courses:attended',
+  creditTarget: 'kaa-courses:credit-target',
+};
+const DEFAULT_CREDIT_TARGET = 30;
+const VIEWS = ['all', 'saved'];
+const LAYOUTS = ['grid', 'month', 'week'];
+// course titles drawn inside a month cell before it collapses to "+n"
+const MONTH_CELL_LIMIT = 3;
+const CATEGORY_KIND_LABELS = {
+  series: '系列',
+  topic: '主題',
+  marker: '標記',
 };
 
 const DEFAULT_STATUS_VALUES = ['due-soon', 'active'];
+const DEFAULT_SORT = 'deadline-asc';
+const URL_PARAMS = {
+  search: 'q',
+  sort: 'sort',
+  statuses: 'status',
+  hasCreditsOnly: 'credits',
+  sources: 'source',
+  categories: 'topic',
+  registration: 'registration',
+  day: 'day',
+  view: 'view',
+  layout: 'layout',
+};
 
 const state = {
   documents: [],
   filtered: [],
+  archive: {
+    status: 'idle',
+    documents: [],
+  },
+  // attachment text, fetched the first time someone searches
+  searchIndex: {
+    status: 'idle',
+    files: {},
+    courses: {},
+  },
+  // normalized terms of the current search
+  searchTerms: [],
+  // course -> relevance for the current search
+  searchScores: new Map(),
+  // course id -> labels of the attachments whose text matched the search
+  attachmentMatches: new Map(),
+  changes: new Map(),
+  // [{ id, name }] of the associations present in the data
+  sources: [],
+  // [{ id, kind, label }] from the scraper's rule table
+  categories: [],
+  // category id -> matches under every other filter
+  categoryCounts: new Map(),
+  isOffline: false,
+  view: 'all',
+  layout: 'grid',
+  // any day in the month or week the calendar shows; null means today
+  calendarCursor: null,
+  // course shown in the drawer; openedInApp when a card led there, so closing
+  // can step back instead of leaving the course in history
+  route: {
+    courseId: null,
+    openedInApp: false,
+  },
+  starred: loadStoredMap(STORAGE_KEYS.starred),
+  attended: loadStoredMap(STORAGE_KEYS.attended),
+  creditTarget: loadCreditTarget(),
   filters: {
     search: '',
-    sort: 'deadline-asc',
+    sort: DEFAULT_SORT,
     statuses: new Set(DEFAULT_STATUS_VALUES),
     hasCreditsOnly: false,
+    // empty means every source
+    sources: new Set(),
+    // any of these category ids; empty means every category
+    categories: new Set(),
+    // any of these registration states; empty means every course
+    registration: new Set(),
+    // YYYY-MM-DD picked on the calendar, null for every date
+    day: null,
   },
 };
 
@@ -30,26 +159,48 @@ const elements = {
   clearFilters: document.getElementById('clearFilters'),
   updatedAt: document.getElementById('updatedAt'),
   creditFilter: document.getElementById('creditFilter'),
+  sourceFilter: document.getElementById('sourceFilter'),
+  categoryFilter: document.getElementById('categoryFilter'),
+  dayFilter: document.getElementById('dayFilter'),
+  calendarView: document.getElementById('calendarView'),
+  courseDrawer: document.getElementById('courseDrawer'),
+  courseDrawerContent: document.getElementById('courseDrawerContent'),
   previewModal: document.getElementById('previewModal'),
   previewContent: document.getElementById('previewContent'),
   previewDownload: document.getElementById('previewDownload'),
+  historySection: document.getElementById('historySection'),
+  historyList: document.getElementById('historyList'),
+  creditTracker: document.getElementById('creditTracker'),
+  creditTarget: document.getElementById('creditTarget'),
+  creditProgress: document.getElementById('creditProgress'),
+  creditSummary: document.getElementById('creditSummary'),
+  creditBreakdown: document.getElementById('creditBreakdown'),
+  exportCredits: document.getElementById('exportCredits'),
+  offlineIndicator: document.getElementById('offlineIndicator'),
 };
 
+const registrationChips = Array.from(
+  document.querySelectorAll('.filter-chip[data-registration]'),
+);
 const statusCheckboxes = Array.from(
   document.querySelectorAll('input[name="statusFilter"]'),
 );
+const viewTabs = Array.from(document.querySelectorAll('.view-tab[data-view]'));
+const layoutTabs = Array.from(document.querySelectorAll('.view-tab[data-layout]'));
 
 bootstrapLayout();
+readFiltersFromUrl();
+state.route.courseId = readCourseRoute();
 attachEvents();
+registerServiceWorker();
 loadDocuments();
 
 function bootstrapLayout() {
-  document.title = 'COURSE｜高雄建築師公會';
+  document.title = SITE_TITLE;
 }
 
 function attachEvents() {
-  syncStatusCheckboxes();
-  syncCreditFilter();
+  syncFilterControls();
 
   statusCheckboxes.forEach((checkbox) => {
     checkbox.addEventListener('change', () => {
@@ -64,7 +215,7 @@ function attachEvents() {
           return;
         }
       }
-      render();
+      commitFilters();
     });
   });
 
@@ -72,20 +223,22 @@ function attachEvents() {
     elements.creditFilter.addEventListener('click', () => {
       state.filters.hasCreditsOnly = !state.filters.hasCreditsOnly;
       syncCreditFilter();
-      render();
+      commitFilters();
     });
   }
 
   if (elements.searchInput) {
     elements.searchInput.addEventListener('input', (event) => {
+      const wasSearching = Boolean(state.filters.search);
       state.filters.search = event.target.value.trim();
-      render();
+      // typing rewrites the current entry instead of adding one per keystroke
+      commitFilters({ replace: wasSearching && Boolean(state.filters.search) });
     });
     elements.searchInput.addEventListener('keydown', (event) => {
       if (event.key === 'Escape' && elements.searchInput.value) {
         elements.searchInput.value = '';
         state.filters.search = '';
-        render();
+        commitFilters();
       }
     });
   }
@@ -93,32 +246,194 @@ function attachEvents() {
   if (elements.sortSelect) {
     elements.sortSelect.addEventListener('change', (event) => {
       state.filters.sort = event.target.value;
-      render();
+      commitFilters();
     });
   }
 
   if (elements.clearFilters) {
     elements.clearFilters.addEventListener('click', () => {
       const hasSearch = Boolean(state.filters.search);
-      const hasSort = state.filters.sort !== 'deadline-asc';
+      const hasSort = state.filters.sort !== DEFAULT_SORT;
       const hasStatusChange =
         state.filters.statuses.size !== DEFAULT_STATUS_VALUES.length ||
         DEFAULT_STATUS_VALUES.some((value) => !state.filters.statuses.has(value));
       const hasCreditFilter = state.filters.hasCreditsOnly;
-
-      if (!hasSearch && !hasSort && !hasStatusChange && !hasCreditFilter) return;
+      const hasSourceFilter = state.filters.sources.size > 0;
+      const hasCategoryFilter = state.filters.categories.size > 0;
+      const hasRegistrationFilter = state.filters.registration.size > 0;
+      const hasDayFilter = Boolean(state.filters.day);
+
+      if (
+        !hasSearch &&
+        !hasSort &&
+        !hasStatusChange &&
+        !hasCreditFilter &&
+        !hasSourceFilter &&
+        !hasCategoryFilter &&
+        !hasRegistrationFilter &&
+        !hasDayFilter
+      ) {
+        return;
+      }
 
       state.filters.search = '';
-      state.filters.sort = 'deadline-asc';
+      state.filters.sort = DEFAULT_SORT;
       resetStatusFilters();
       state.filters.hasCreditsOnly = false;
-      syncCreditFilter();
-      if (elements.searchInput) elements.searchInput.value = '';
-      if (elements.sortSelect) elements.sortSelect.value = 'deadline-asc';
-      render();
+      state.filters.sources = new Set();
+      state.filters.categories = new Set();
+      state.filters.registration = new Set();
+      state.filters.day = null;
+      syncFilterControls();
+      commitFilters();
     });
   }
 
+  registrationChips.forEach((chip) => {
+    chip.addEventListener('click', () => {
+      const selected = state.filters.registration;
+      const { registration } = chip.dataset;
+      if (selected.has(registration)) {
+        selected.delete(registration);
+      } else {
+        selected.add(registration);
+      }
+      syncRegistrationFilter();
+      commitFilters();
+    });
+  });
+
+  // chips are redrawn with fresh counts on every render
+  if (elements.categoryFilter) {
+    elements.categoryFilter.addEventListener('click', (event) => {
+      const chip = event.target.closest('[data-category]');
+      if (!chip) return;
+      const selected = state.filters.categories;
+      const { category } = chip.dataset;
+      if (selected.has(category)) {
+        selected.delete(category);
+      } else {
+        selected.add(category);
+      }
+      commitFilters();
+    });
+  }
+
+  if (elements.dayFilter) {
+    elements.dayFilter.addEventListener('click', () => {
+      state.filters.day = null;
+      syncDayFilter();
+      commitFilters();
+    });
+  }
+
+  if (elements.calendarView) {
+    elements.calendarView.addEventListener('click', (event) => {
+      const dayButton = event.target.closest('[data-day]');
+      if (dayButton) {
+        // picking the selected day again shows every date
+        const { day } = dayButton.dataset;
+        state.filters.day = state.filters.day === day ? null : day;
+        state.calendarCursor = day;
+        syncDayFilter();
+        commitFilters();
+        return;
+      }
+
+      const navButton = event.target.closest('[data-calendar-step]');
+      if (!navButton) return;
+      const step = Number(navButton.dataset.calendarStep);
+      const cursor = getCalendarCursor();
+      if (step === 0) state.calendarCursor = null;
+      else if (state.layout === 'month') state.calendarCursor = addMonths(cursor, step);
+      else state.calendarCursor = addDays(cursor, step * 7);
+      renderCalendar(applyFilters());
+    });
+  }
+
+  viewTabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      if (state.view === tab.dataset.view) return;
+      state.view = tab.dataset.view;
+      syncViewTabs();
+      commitFilters();
+    });
+  });
+
+  layoutTabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      if (state.layout === tab.dataset.layout) return;
+      state.layout = tab.dataset.layout;
+      syncLayoutTabs();
+      commitFilters();
+    });
+  });
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.card-action--star');
+    if (!button) return;
+    const doc = findDocument(button.dataset.courseId);
+    if (doc) toggleStar(doc);
+  });
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.card-action--attended');
+    if (!button) return;
+    const doc = findDocument(button.dataset.courseId);
+    if (doc) toggleAttended(doc);
+  });
+
+  if (elements.creditTarget) {
+    elements.creditTarget.addEventListener('change', (event) => {
+      const value = Number.parseFloat(event.target.value);
+      state.creditTarget =
+        Number.isFinite(value) && value > 0 ? value : DEFAULT_CREDIT_TARGET;
+      saveCreditTarget();
+      renderCreditTracker();
+    });
+  }
+
+  if (elements.exportCredits) {
+    elements.exportCredits.addEventListener('click', exportAttendedCsv);
+  }
+
+  // keep stars and attendance in sync when another tab edits them
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEYS.starred) {
+      state.starred = loadStoredMap(STORAGE_KEYS.starred);
+    } else if (event.key === STORAGE_KEYS.attended) {
+      state.attended = loadStoredMap(STORAGE_KEYS.attended);
+    } else if (event.key === STORAGE_KEYS.creditTarget) {
+      state.creditTarget = loadCreditTarget();
+    } else {
+      return;
+    }
+    render();
+  });
+
+  // pick up fresh data as soon as the connection comes back
+  window.addEventListener('online', () => {
+    if (state.isOffline) loadDocuments();
+  });
+
+  window.addEventListener('popstate', () => {
+    readFiltersFromUrl();
+    syncFilterControls();
+    render();
+  });
+
+  window.addEventListener('hashchange', syncCourseRoute);
+
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href^="#/course/"]');
+    if (!link || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    state.route.openedInApp = true;
+  });
+
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('[data-close-course]')) closeCourse();
+  });
+
   document.addEventListener('click', (e) => {
     const target = e.target;
     if (target && (target.matches('[data-close]') || target.closest('[data-close]'))) {
@@ -134,11 +449,393 @@ function attachEvents() {
     showPreview(anchor.href, anchor.textContent.trim());
   });
 
+  // a preview opened from the drawer sits on top of it and closes first
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closePreview();
+    if (e.key !== 'Escape') return;
+    if (elements.previewModal && !elements.previewModal.hidden) closePreview();
+    else closeCourse();
   });
 }
 
+function isKnownSort(value) {
+  if (!elements.sortSelect) return value === DEFAULT_SORT;
+  return Array.from(elements.sortSelect.options).some((option) => option.value === value);
+}
+
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const knownStatuses = new Set(statusCheckboxes.map((checkbox) => checkbox.value));
+
+  state.filters.search = params.get(URL_PARAMS.search)?.trim() ?? '';
+
+  const sort = params.get(URL_PARAMS.sort);
+  state.filters.sort = sort && isKnownSort(sort) ? sort : DEFAULT_SORT;
+
+  const statuses = (params.get(URL_PARAMS.statuses) ?? '')
+    .split(',')
+    .filter((value) => knownStatuses.has(value));
+  state.filters.statuses = new Set(statuses.length ? statuses : DEFAULT_STATUS_VALUES);
+
+  state.filters.hasCreditsOnly = params.get(URL_PARAMS.hasCreditsOnly) === '1';
+
+  // unknown ids are dropped once the data says which sources exist
+  state.filters.sources = new Set(
+    (params.get(URL_PARAMS.sources) ?? '').split(',').filter(Boolean),
+  );
+  state.filters.categories = new Set(
+    (params.get(URL_PARAMS.categories) ?? '').split(',').filter(Boolean),
+  );
+  const knownRegistration = new Set(registrationChips.map((chip) => chip.dataset.registration));
+  state.filters.registration = new Set(
+    (params.get(URL_PARAMS.registration) ?? '')
+      .split(',')
+      .filter((value) => knownRegistration.has(value)),
+  );
+
+  const day = params.get(URL_PARAMS.day);
+  state.filters.day = isDayKey(day) ? day : null;
+  state.calendarCursor = state.filters.day;
+
+  const view = params.get(URL_PARAMS.view);
+  state.view = VIEWS.includes(view) ? view : 'all';
+
+  const layout = params.get(URL_PARAMS.layout);
+  state.layout = LAYOUTS.includes(layout) ? layout : 'grid';
+}
+
+function buildFilterUrl() {
+  const url = new URL(window.location.href);
+  const params = url.searchParams;
+  Object.values(URL_PARAMS).forEach((key) => params.delete(key));
+
+  const { search, sort, statuses, hasCreditsOnly, sources, categories, registration, day } =
+    state.filters;
+  if (search) params.set(URL_PARAMS.search, search);
+  if (sort !== DEFAULT_SORT) params.set(URL_PARAMS.sort, sort);
+
+  const isDefaultStatus =
+    statuses.size === DEFAULT_STATUS_VALUES.length &&
+    DEFAULT_STATUS_VALUES.every((value) => statuses.has(value));
+  if (!isDefaultStatus) {
+    // keep the checkbox order so equal views produce equal links
+    const ordered = statusCheckboxes
+      .map((checkbox) => checkbox.value)
+      .filter((value) => statuses.has(value));
+    params.set(URL_PARAMS.statuses, ordered.join(','));
+  }
+
+  if (hasCreditsOnly) params.set(URL_PARAMS.hasCreditsOnly, '1');
+  if (sources.size) params.set(URL_PARAMS.sources, [...sources].sort().join(','));
+  if (categories.size) {
+    params.set(URL_PARAMS.categories, [...categories].sort().join(','));
+  }
+  if (registration.size) {
+    // chip order, like the status checkboxes
+    const ordered = registrationChips
+      .map((chip) => chip.dataset.registration)
+      .filter((value) => registration.has(value));
+    params.set(URL_PARAMS.registration, ordered.join(','));
+  }
+  if (day) params.set(URL_PARAMS.day, day);
+  if (state.view !== 'all') params.set(URL_PARAMS.view, state.view);
+  if (state.layout !== 'grid') params.set(URL_PARAMS.layout, state.layout);
+  return url;
+}
+
+function commitFilters({ replace = false } = {}) {
+  const url = buildFilterUrl();
+  if (url.href !== window.location.href) {
+    const method = replace ? 'replaceState' : 'pushState';
+    window.history[method](null, '', url);
+  }
+  render();
+}
+
+function syncFilterControls() {
+  syncStatusCheckboxes();
+  syncCreditFilter();
+  syncSourceFilter();
+  syncRegistrationFilter();
+  if (elements.searchInput) elements.searchInput.value = state.filters.search;
+  if (elements.sortSelect) elements.sortSelect.value = state.filters.sort;
+  syncDayFilter();
+  syncViewTabs();
+  syncLayoutTabs();
+}
+
+function syncRegistrationFilter() {
+  registrationChips.forEach((chip) => {
+    const pressed = state.filters.registration.has(chip.dataset.registration);
+    chip.classList.toggle('filter-chip--active', pressed);
+    chip.setAttribute('aria-pressed', String(pressed));
+  });
+}
+
+function syncDayFilter() {
+  if (!elements.dayFilter) return;
+  const { day } = state.filters;
+  elements.dayFilter.hidden = !day;
+  elements.dayFilter.textContent = day ? `${day}（${WEEKDAY_LABELS[getWeekday(day)]}） ✕` : '';
+}
+
+function syncViewTabs() {
+  viewTabs.forEach((tab) => {
+    const pressed = tab.dataset.view === state.view;
+    tab.classList.toggle('view-tab--active', pressed);
+    tab.setAttribute('aria-pressed', String(pressed));
+  });
+}
+
+function syncLayoutTabs() {
+  layoutTabs.forEach((tab) => {
+    const pressed = tab.dataset.layout === state.layout;
+    tab.classList.toggle('view-tab--active', pressed);
+    tab.setAttribute('aria-pressed', String(pressed));
+  });
+}
+
+function loadStoredMap(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key) ?? '{}');
+    return new Map(Object.entries(stored ?? {}));
+  } catch {
+    return new Map();
+  }
+}
+
+function saveStoredMap(key, map) {
+  try {
+    localStorage.setItem(key, JSON.stringify(Object.fromEntries(map)));
+  } catch (error) {
+    console.warn(`Unable to save ${key}`, error);
+  }
+}
+
+// the scraper folds re-posted courses into the newest id and lists the old
+// ones in aliasIds; move stars and attendance over so they are not orphaned
+function migrateAliasedRecords(documents) {
+  const stores = [
+    [state.starred, STORAGE_KEYS.starred],
+    [state.attended, STORAGE_KEYS.attended],
+  ];
+  stores.forEach(([map, key]) => {
+    let changed = false;
+    documents.forEach((doc) => {
+      (doc.aliasIds ?? []).forEach((aliasId) => {
+        if (!map.has(aliasId)) return;
+        if (!map.has(doc.id)) map.set(doc.id, map.get(aliasId));
+        map.delete(aliasId);
+        changed = true;
+      });
+    });
+    if (changed) saveStoredMap(key, map);
+  });
+}
+
+function loadCreditTarget() {
+  try {
+    const value = Number.parseFloat(localStorage.getItem(STORAGE_KEYS.creditTarget) ?? '');
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_CREDIT_TARGET;
+  } catch {
+    return DEFAULT_CREDIT_TARGET;
+  }
+}
+
+function saveCreditTarget() {
+  try {
+    localStorage.setItem(STORAGE_KEYS.creditTarget, String(state.creditTarget));
+  } catch (error) {
+    console.warn('Unable to save credit target', error);
+  }
+}
+
+// keep a snapshot so the course stays listed after it drops off courses.json
+function createCourseSnapshot(doc) {
+  return {
+    title: doc.title ?? null,
+    date: doc.date ?? null,
+    time: doc.time ?? null,
+    detailUrl: doc.detailUrl ?? null,
+    credits: doc.credits ?? null,
+    source: doc.source ?? null,
+  };
+}
+
+function isStarred(doc) {
+  return Boolean(doc.id && state.starred.has(doc.id));
+}
+
+function toggleStar(doc) {
+  if (!doc.id) return;
+  if (state.starred.has(doc.id)) {
+    state.starred.delete(doc.id);
+  } else {
+    state.starred.set(doc.id, {
+      ...createCourseSnapshot(doc),
+      starredAt: new Date().toISOString(),
+    });
+  }
+  saveStoredMap(STORAGE_KEYS.starred, state.starred);
+  render();
+}
+
+function isAttended(doc) {
+  return Boolean(doc.id && state.attended.has(doc.id));
+}
+
+function toggleAttended(doc) {
+  if (!doc.id) return;
+  if (state.attended.has(doc.id)) {
+    state.attended.delete(doc.id);
+  } else {
+    state.attended.set(doc.id, {
+      ...createCourseSnapshot(doc),
+      attendedAt: new Date().toISOString(),
+    });
+  }
+  saveStoredMap(STORAGE_KEYS.attended, state.attended);
+  render();
+}
+
+function getAttendedRecords() {
+  const known = new Map(state.documents.map((doc) => [doc.id, doc]));
+  return Array.from(state.attended.entries())
+    .map(([id, snapshot]) => {
+      const current = known.get(id);
+      // prefer freshly scraped values; credits are often published late
+      const credits = Number(current?.credits ?? snapshot.credits ?? 0);
+      return {
+        id,
+        title: current?.title ?? snapshot.title ?? '',
+        date: current?.date ?? snapshot.date ?? '',
+        detailUrl: current?.detailUrl ?? snapshot.detailUrl ?? '',
+        credits: Number.isFinite(credits) ? credits : 0,
+        year: (current?.date ?? snapshot.date ?? '').slice(0, 4) || '未知',
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function summarizeCreditsByYear(records) {
+  const byYear = new Map();
+  records.forEach((record) => {
+    const entry = byYear.get(record.year) ?? { year: record.year, courses: 0, credits: 0 };
+    entry.courses += 1;
+    entry.credits += record.credits;
+    byYear.set(record.year, entry);
+  });
+  return Array.from(byYear.values()).sort((a, b) => b.year.localeCompare(a.year));
+}
+
+function renderCreditTracker() {
+  if (!elements.creditTracker) return;
+  elements.creditTracker.hidden = state.view !== 'saved';
+  if (elements.creditTracker.hidden) return;
+
+  const records = getAttendedRecords();
+  const summary = summarizeCreditsByYear(records);
+  const currentYear = formatTaipeiDate().slice(0, 4);
+  const thisYear = summary.find((entry) => entry.year === currentYear)?.credits ?? 0;
+  const target = state.creditTarget;
+
+  if (elements.creditTarget && document.activeElement !== elements.creditTarget) {
+    elements.creditTarget.value = String(target);
+  }
+  if (elements.creditProgress) {
+    elements.creditProgress.max = target;
+    elements.creditProgress.value = Math.min(thisYear, target);
+  }
+  if (elements.creditSummary) {
+    const remaining = Math.max(target - thisYear, 0);
+    elements.creditSummary.textContent =
+      remaining > 0
+        ? `${currentYear} 年已累積 ${formatCreditValue(thisYear)} / ${formatCreditValue(target)} 分，尚差 ${formatCreditValue(remaining)} 分`
+        : `${currentYear} 年已累積 ${formatCreditValue(thisYear)} 分，已達年度目標`;
+  }
+  if (elements.creditBreakdown) {
+    const rows = summary.map((entry) => {
+      const row = document.createElement('tr');
+      const ratio = target > 0 ? Math.round((entry.credits / target) * 100) : 0;
+      [entry.year, `${entry.courses}`, formatCreditValue(entry.credits), `${ratio}%`].forEach(
+        (text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        },
+      );
+      return row;
+    });
+    if (!rows.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 4;
+      cell.className = 'credit-tracker__empty';
+      cell.textContent = '尚未標記已參加的課程';
+      row.appendChild(cell);
+      rows.push(row);
+    }
+    elements.creditBreakdown.replaceChildren(...rows);
+  }
+  if (elements.exportCredits) {
+    elements.exportCredits.disabled = records.length === 0;
+  }
+}
+
+function toCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportAttendedCsv() {
+  const records = getAttendedRecords();
+  if (!records.length) return;
+
+  const lines = [
+    ['年度', '課程日期', '課程名稱', '學分', '課程連結'],
+    ...records.map((record) => [
+      record.year,
+      record.date,
+      record.title,
+      formatCreditValue(record.credits),
+      record.detailUrl,
+    ]),
+  ].map((row) => row.map(toCsvCell).join(','));
+
+  // BOM so Excel opens the file as UTF-8
+  const blob = new Blob([`\ufeff${lines.join('\r\n')}\r\n`], {
+    type: 'text/csv;charset=utf-8',
+  });
+  downloadBlob(blob, 'kaa-credits.csv');
+}
+
+function findDocument(id) {
+  if (!id) return null;
+  return (
+    state.documents.find((doc) => doc.id === id) ??
+    getStarredDocuments().find((doc) => doc.id === id) ??
+    null
+  );
+}
+
+function getStarredDocuments() {
+  const known = new Map(state.documents.map((doc) => [doc.id, doc]));
+  return Array.from(state.starred.entries()).map(
+    ([id, snapshot]) =>
+      known.get(id) ??
+      enrichCourse({
+        id,
+        title: snapshot.title,
+        date: snapshot.date,
+        deadline: snapshot.date,
+        time: snapshot.time,
+        detailUrl: snapshot.detailUrl,
+        credits: snapshot.credits,
+        source: snapshot.source,
+        links: snapshot.detailUrl ? [{ label: '細節', url: snapshot.detailUrl }] : [],
+      }),
+  );
+}
+
 function syncStatusCheckboxes() {
   statusCheckboxes.forEach((checkbox) => {
     checkbox.checked = state.filters.statuses.has(checkbox.value);
@@ -157,6 +854,112 @@ function syncCreditFilter() {
   elements.creditFilter.setAttribute('aria-pressed', String(pressed));
 }
 
+function collectSources(listed, documents) {
+  const sources = new Map((listed ?? []).map(({ id, name }) => [id, { id, name: name || id }]));
+  documents.forEach((doc) => {
+    if (!sources.has(doc.source)) sources.set(doc.source, { id: doc.source, name: doc.source });
+  });
+  return Array.from(sources.values());
+}
+
+function renderSourceFilter() {
+  const container = elements.sourceFilter;
+  if (!container) return;
+
+  const known = new Set(state.sources.map((source) => source.id));
+  state.filters.sources = new Set(
+    [...state.filters.sources].filter((id) => known.has(id)),
+  );
+
+  container.replaceChildren(
+    ...state.sources.map((source) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.dataset.source = source.id;
+      chip.textContent = source.name;
+      chip.addEventListener('click', () => {
+        const selected = state.filters.sources;
+        if (selected.has(source.id)) {
+          selected.delete(source.id);
+        } else {
+          selected.add(source.id);
+        }
+        syncSourceFilter();
+        commitFilters();
+      });
+      return chip;
+    }),
+  );
+  // a single source has nothing to choose between
+  container.hidden = state.sources.length < 2;
+  syncSourceFilter();
+}
+
+function countCategories(documents) {
+  const counts = new Map();
+  documents.forEach((doc) => {
+    (doc.categories ?? []).forEach((id) => counts.set(id, (counts.get(id) ?? 0) + 1));
+  });
+  return counts;
+}
+
+function createCategoryChip(category) {
+  const pressed = state.filters.categories.has(category.id);
+  const chip = document.createElement('button');
+  chip.type = 'button';
+  chip.className = 'filter-chip';
+  chip.classList.toggle('filter-chip--active', pressed);
+  chip.setAttribute('aria-pressed', String(pressed));
+  chip.dataset.category = category.id;
+  chip.textContent = category.label;
+
+  const count = document.createElement('span');
+  count.className = 'filter-chip__count';
+  count.textContent = String(state.categoryCounts.get(category.id) ?? 0);
+  chip.appendChild(count);
+  return chip;
+}
+
+// one row per kind; categories nothing matches are left out unless selected
+function renderCategoryFilter() {
+  const container = elements.categoryFilter;
+  if (!container) return;
+
+  const groups = Object.entries(CATEGORY_KIND_LABELS)
+    .map(([kind, label]) => {
+      const chips = state.categories
+        .filter((category) => category.kind === kind)
+        .filter(
+          (category) =>
+            state.categoryCounts.get(category.id) || state.filters.categories.has(category.id),
+        )
+        .map(createCategoryChip);
+      if (!chips.length) return null;
+
+      const group = document.createElement('div');
+      group.className = 'category-filter__group';
+      const name = document.createElement('span');
+      name.className = 'category-filter__label';
+      name.textContent = label;
+      group.append(name, ...chips);
+      return group;
+    })
+    .filter(Boolean);
+
+  container.replaceChildren(...groups);
+  container.hidden = groups.length === 0;
+}
+
+function syncSourceFilter() {
+  if (!elements.sourceFilter) return;
+  elements.sourceFilter.querySelectorAll('[data-source]').forEach((chip) => {
+    const pressed = state.filters.sources.has(chip.dataset.source);
+    chip.classList.toggle('filter-chip--active', pressed);
+    chip.setAttribute('aria-pressed', String(pressed));
+  });
+}
+
 function formatUpdatedAt(isoString) {
   if (!isoString) return '資料更新：尚待同步';
 
@@ -198,56 +1001,97 @@ function formatUpdatedAt(isoString) {
   return `資料更新：${yearStr}年${monthStr}月${dayStr}日 ${timeText}`;
 }
 
-function parseDate(value) {
-  if (!value) return null;
-  const normalized = value.trim().replace(/\//g, '-');
-  const isoCandidate =
-    normalized.length === 10 ? `${normalized}T00:00:00+08:00` : normalized;
-  const parsed = new Date(isoCandidate);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-}
-
-const taipeiDateFormatter = new Intl.DateTimeFormat('en-CA', {
+const taipeiClockFormatter = new Intl.DateTimeFormat('en-GB', {
   timeZone: 'Asia/Taipei',
-  year: 'numeric',
-  month: '2-digit',
-  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false,
 });
 
-function getTaipeiToday() {
-  const formatted = taipeiDateFormatter.format(Date.now());
-  return parseDate(formatted);
+function formatClock(isoString) {
+  if (!isoString) return null;
+  const date = new Date(isoString);
+  return Number.isNaN(date.getTime()) ? null : taipeiClockFormatter.format(date);
 }
 
-function enrichDocument(doc) {
-  const issuedDate = parseDate(doc.date);
-  const deadlineDate = parseDate(doc.deadline);
-  const today = getTaipeiToday();
+function formatCourseTime(doc) {
+  const start = formatClock(doc.startAt);
+  if (!start) return doc.time?.trim() || '尚未提供';
 
-  let deadlineCategory = 'no-deadline';
-  let daysUntilDeadline = null;
+  const end = formatClock(doc.endAt);
+  const checkIn = formatClock(doc.checkInAt);
+  let text = end ? `${start}–${end}` : `${start} 開始`;
+  if (checkIn) text += `（${checkIn} 報到）`;
+  return text;
+}
 
-  if (deadlineDate && today) {
-    const diffDays = Math.floor(
-      (deadlineDate.getTime() - today.getTime()) / (24 * 60 * 60 * 1000),
-    );
-    daysUntilDeadline = diffDays;
-    if (diffDays < 0) {
-      deadlineCategory = 'expired';
-    } else if (diffDays <= DEADLINE_SOON_DAYS) {
-      deadlineCategory = 'due-soon';
-    } else {
-      deadlineCategory = 'active';
-    }
+// newest entry wins; "added" stays sticky so a course edited right after
+// being posted still reads as new
+function indexRecentChanges(entries) {
+  const cutoff = Date.now() - CHANGE_HIGHLIGHT_DAYS * 24 * 60 * 60 * 1000;
+  const changes = new Map();
+
+  [...entries]
+    .filter((entry) => Date.parse(entry.at) >= cutoff)
+    .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+    .forEach((entry) => {
+      (entry.added ?? []).forEach((course) => {
+        if (!course.id) return;
+        changes.set(course.id, { type: 'added', at: entry.at, fields: [] });
+      });
+      (entry.modified ?? []).forEach((course) => {
+        if (!course.id) return;
+        const previous = changes.get(course.id);
+        const fields = Object.keys(course.changes ?? {});
+        if (previous?.type === 'added') return;
+        changes.set(course.id, {
+          type: 'modified',
+          at: entry.at,
+          fields: Array.from(new Set([...(previous?.fields ?? []), ...fields])),
+        });
+      });
+    });
+
+  return changes;
+}
+
+async function loadChanges() {
+  try {
+    const response = await fetch(`${CHANGES_URL}?_=${Date.now()}`, {
+      cache: 'no-store',
+    });
+    if (!response.ok) return;
+    const payload = await response.json();
+    state.changes = indexRecentChanges(payload.entries ?? []);
+    render();
+  } catch (error) {
+    console.warn('Unable to load course changes', error);
   }
+}
 
-  return {
-    ...doc,
-    issuedDate,
-    deadlineDate,
-    deadlineCategory,
-    daysUntilDeadline,
-  };
+// the course status badge already says an ended course is over
+function createRegistrationBadge(doc) {
+  const status = doc.registrationStatus;
+  if (!status || doc.deadlineCategory === 'expired') return null;
+
+  const badge = document.createElement('span');
+  badge.className = `badge badge--registration-${status}`;
+  badge.textContent = BADGE_TEXT[`registration-${status}`];
+  return badge;
+}
+
+function createChangeBadge(doc) {
+  const change = doc.id ? state.changes.get(doc.id) : null;
+  if (!change) return null;
+
+  const badge = document.createElement('span');
+  badge.className = `change-badge change-badge--${change.type}`;
+  badge.textContent = change.type === 'added' ? '新' : '已更新';
+  if (change.fields.length) {
+    const labels = change.fields.map((field) => CHANGE_FIELD_LABELS[field] ?? field);
+    badge.title = `更新項目：${labels.join('、')}`;
+  }
+  return badge;
 }
 
 function formatDeadlineNote(doc) {
@@ -270,19 +1114,30 @@ function sortDocuments(documents) {
     return direction === 'asc' ? diff : -diff;
   };
 
+  const compareDeadlineAsc = (a, b) => {
+    if (!a.deadlineDate && !b.deadlineDate) {
+      return compareDate(a, b, 'issuedDate', 'desc');
+    }
+    if (!a.deadlineDate) return 1;
+    if (!b.deadlineDate) return -1;
+    const diff = a.deadlineDate.getTime() - b.deadlineDate.getTime();
+    return diff === 0
+      ? compareDate(a, b, 'issuedDate', 'desc')
+      : diff;
+  };
+
   switch (state.filters.sort) {
     case 'deadline-asc':
-      sorted.sort((a, b) => {
-        if (!a.deadlineDate && !b.deadlineDate) {
-          return compareDate(a, b, 'issuedDate', 'desc');
-        }
-        if (!a.deadlineDate) return 1;
-        if (!b.deadlineDate) return -1;
-        const diff = a.deadlineDate.getTime() - b.deadlineDate.getTime();
-        return diff === 0
-          ? compareDate(a, b, 'issuedDate', 'desc')
-          : diff;
-      });
+      sorted.sort(compareDeadlineAsc);
+      break;
+    case 'relevance':
+      // equal scores, and everything when nothing is searched, fall back to
+      // the default order
+      sorted.sort(
+        (a, b) =>
+          (state.searchScores.get(b) ?? 0) - (state.searchScores.get(a) ?? 0) ||
+          compareDeadlineAsc(a, b),
+      );
       break;
     case 'deadline-desc':
       sorted.sort((a, b) => {
@@ -310,37 +1165,82 @@ function sortDocuments(documents) {
   return sorted;
 }
 
-function applyFilters() {
-  let results = [...state.documents];
-  const query = state.filters.search.toLowerCase();
+function wantsArchive() {
+  return state.view === 'all' && state.filters.statuses.has('expired');
+}
+
+function getBrowsableDocuments() {
+  if (!wantsArchive() || state.archive.status !== 'loaded') {
+    return [...state.documents];
+  }
+  const currentIds = new Set(state.documents.map((doc) => doc.id).filter(Boolean));
+  const older = state.archive.documents.filter(
+    (doc) => !doc.id || !currentIds.has(doc.id),
+  );
+  return [...state.documents, ...older];
+}
+
+// [{ label, text }] of the course's attachments with extracted text
+function getAttachmentTexts(doc) {
+  const urls = state.searchIndex.courses[doc.id] ?? [];
+  return urls
+    .filter((url) => state.searchIndex.files[url]?.text)
+    .map((url) => {
+      const attachment = doc.attachments?.find((item) => item.url === url);
+      return {
+        label: attachment?.label?.trim() || '附件',
+        text: state.searchIndex.files[url].text,
+      };
+    });
+}
 
-  if (query) {
+function applyFilters() {
+  const isSavedView = state.view === 'saved';
+  let results = isSavedView ? getStarredDocuments() : getBrowsableDocuments();
+  const terms = tokenizeSearch(state.filters.search);
+  state.searchTerms = terms;
+  state.searchScores = new Map();
+  state.attachmentMatches = new Map();
+
+  if (terms.length) {
     results = results.filter((doc) => {
-      const title = (doc.title ?? doc.subject ?? '').toLowerCase();
-      const timeText = (doc.time ?? '').toLowerCase();
-      const linksText = [...(doc.links ?? []), ...(doc.attachments ?? [])]
-        .map((link) => `${link.label ?? ''} ${link.url ?? ''}`.toLowerCase())
-        .join(' ');
-      const dateText = (doc.date ?? '').toLowerCase();
-      const deadlineText = (doc.deadline ?? '').toLowerCase();
-      return (
-        title.includes(query) ||
-        timeText.includes(query) ||
-        linksText.includes(query) ||
-        dateText.includes(query) ||
-        deadlineText.includes(query)
-      );
+      const files = getAttachmentTexts(doc);
+      const score = scoreSearch(doc, terms, files.map((file) => file.text));
+      if (!score) return false;
+
+      state.searchScores.set(doc, score);
+      const labels = files
+        .filter((file) => terms.some((term) => file.text.includes(term)))
+        .map((file) => file.label);
+      if (labels.length) state.attachmentMatches.set(doc.id, labels);
+      return true;
     });
   }
 
-  if (state.filters.statuses.size) {
+  // the saved view splits upcoming and ended courses itself
+  if (!isSavedView && state.filters.statuses.size) {
     results = results.filter((doc) =>
       state.filters.statuses.has(doc.deadlineCategory ?? 'no-deadline'),
     );
   }
 
   if (state.filters.hasCreditsOnly) {
-    results = results.filter((doc) => Number(doc.credits ?? 0) > 0);
+    results = results.filter(hasCredits);
+  }
+
+  if (state.filters.sources.size) {
+    results = results.filter((doc) => state.filters.sources.has(doc.source));
+  }
+
+  if (state.filters.registration.size) {
+    results = results.filter((doc) => state.filters.registration.has(doc.registrationStatus));
+  }
+
+  state.categoryCounts = countCategories(results);
+  if (state.filters.categories.size) {
+    results = results.filter((doc) =>
+      (doc.categories ?? []).some((id) => state.filters.categories.has(id)),
+    );
   }
 
   return sortDocuments(results);
@@ -349,6 +1249,22 @@ function applyFilters() {
 function updateStatus(filtered, total) {
   elements.status.classList.remove('status--error');
 
+  if (state.view === 'all' && wantsArchive() && state.archive.status === 'loading') {
+    elements.status.textContent = `顯示 ${filtered} / ${total} 堂課程，正在載入歷史課程...`;
+    return;
+  }
+
+  if (state.view === 'saved') {
+    if (total === 0) {
+      elements.status.textContent = '尚未收藏任何課程，點選課程卡片上的「收藏」即可加入。';
+    } else if (filtered === 0) {
+      elements.status.textContent = '沒有符合條件的進行中收藏。';
+    } else {
+      elements.status.textContent = `我的課程：${filtered} / ${total} 堂`;
+    }
+    return;
+  }
+
   if (total === 0) {
     elements.status.textContent = '目前尚無課程資料，請稍後再試。';
     return;
@@ -381,6 +1297,38 @@ function createMetaItem(label, content) {
   return wrapper;
 }
 
+function formatFee(doc) {
+  if (doc.fee === 0) return '免費';
+  if (Number.isFinite(doc.fee)) {
+    return `NT$ ${doc.fee.toLocaleString('zh-TW')}`;
+  }
+  return doc.feeText?.trim() || null;
+}
+
+function createDetailMetaItems(doc) {
+  const items = [];
+  const speakers = Array.isArray(doc.speakers)
+    ? doc.speakers.filter(Boolean).join('、')
+    : '';
+  const fee = formatFee(doc);
+
+  if (doc.venue) items.push(createMetaItem('上課地點', doc.venue));
+  if (speakers) items.push(createMetaItem('講師', speakers));
+  if (fee) items.push(createMetaItem('課程費用', fee));
+  if (Number.isFinite(doc.capacity) && doc.capacity > 0) {
+    items.push(createMetaItem('名額', `${doc.capacity} 人`));
+  }
+  if (doc.organizer) items.push(createMetaItem('主辦單位', doc.organizer));
+  if (doc.registrationOpens || doc.registrationDeadline) {
+    const period = [doc.registrationOpens, doc.registrationDeadline]
+      .map((date) => date ?? '')
+      .join(' ～ ');
+    items.push(createMetaItem('報名期間', period.trim()));
+  }
+
+  return items;
+}
+
 function createLinkList(doc) {
   const list = document.createElement('div');
   list.className = 'attachment-list';
@@ -402,14 +1350,7 @@ function createLinkList(doc) {
       item.label?.trim() || `附件 ${String(index + 1).padStart(2, '0')}`;
     link.textContent = labelText;
 
-    const lowerLabel = labelText.toLowerCase();
-    const lowerUrl = (item.url ?? '').toLowerCase();
-    const isRegister =
-      /報名/.test(labelText) || /register|signup|enroll/.test(lowerUrl);
-    const isDownload =
-      /下載|附件|檔案/.test(labelText) ||
-      /\.pdf\b/.test(lowerUrl) ||
-      /download\.php/.test(lowerUrl);
+    const { isRegister, isDownload } = classifyLink({ label: labelText, url: item.url });
 
     link.className = 'attachment-link';
     if (isRegister) link.classList.add('attachment-link--register');
@@ -470,6 +1411,100 @@ function buildPreviewUrl(url) {
   }
 }
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadCourseCalendar(doc) {
+  const ics = buildCalendar([doc]);
+  const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+  downloadBlob(blob, `${getCourseUid(doc).split('@')[0]}.ics`);
+}
+
+function createCardActions(doc) {
+  const actions = document.createElement('div');
+  actions.className = 'document-card__actions';
+
+  if (doc.id) {
+    const starred = isStarred(doc);
+    const starButton = document.createElement('button');
+    starButton.type = 'button';
+    starButton.className = 'card-action card-action--star';
+    starButton.classList.toggle('card-action--starred', starred);
+    starButton.dataset.courseId = doc.id;
+    starButton.setAttribute('aria-pressed', String(starred));
+    starButton.textContent = starred ? '★ 已收藏' : '☆ 收藏';
+    actions.appendChild(starButton);
+
+    const attended = isAttended(doc);
+    const attendedButton = document.createElement('button');
+    attendedButton.type = 'button';
+    attendedButton.className = 'card-action card-action--attended';
+    attendedButton.classList.toggle('card-action--checked', attended);
+    attendedButton.dataset.courseId = doc.id;
+    attendedButton.setAttribute('aria-pressed', String(attended));
+    attendedButton.textContent = attended ? '✓ 已參加' : '標記已參加';
+    actions.appendChild(attendedButton);
+  }
+
+  if (doc.date || doc.startAt) {
+    const calendarButton = document.createElement('button');
+    calendarButton.type = 'button';
+    calendarButton.className = 'card-action';
+    calendarButton.textContent = '加入行事曆';
+    calendarButton.addEventListener('click', () => downloadCourseCalendar(doc));
+    actions.appendChild(calendarButton);
+  }
+
+  return actions.children.length ? actions : null;
+}
+
+// text nodes with the current search terms wrapped in <mark>
+function highlightSearchTerms(text) {
+  const nodes = [];
+  let cursor = 0;
+  findSearchMatches(text, state.searchTerms).forEach(([start, end]) => {
+    if (start > cursor) nodes.push(document.createTextNode(text.slice(cursor, start)));
+    const mark = document.createElement('mark');
+    mark.className = 'search-mark';
+    mark.textContent = text.slice(start, end);
+    nodes.push(mark);
+    cursor = end;
+  });
+  if (cursor < text.length) nodes.push(document.createTextNode(text.slice(cursor)));
+  return nodes;
+}
+
+// the status badge, wrapped with the registration and change badges if any
+function createBadges(doc) {
+  const badge = document.createElement('span');
+  badge.className = `badge badge--${doc.deadlineCategory}`;
+  badge.textContent = BADGE_TEXT[doc.deadlineCategory] ?? '狀態';
+  const extraBadges = [createRegistrationBadge(doc), createChangeBadge(doc)].filter(Boolean);
+  if (!extraBadges.length) return badge;
+
+  const badges = document.createElement('span');
+  badges.className = 'document-card__badges';
+  badges.append(badge, ...extraBadges);
+  return badges;
+}
+
+function getCourseTitle(doc) {
+  return doc.title?.trim() || doc.subject?.trim() || '尚未提供課程標題';
+}
+
+// the course page on the association's site
+function getPrimaryUrl(doc) {
+  return doc.detailUrl ?? doc.subjectUrl ?? doc.links?.[0]?.url ?? null;
+}
+
 function createDocumentCard(doc) {
   const card = document.createElement('article');
   card.className = `document-card document-card--${doc.deadlineCategory}`;
@@ -477,10 +1512,7 @@ function createDocumentCard(doc) {
   const header = document.createElement('header');
   header.className = 'document-card__header';
 
-  const badge = document.createElement('span');
-  badge.className = `badge badge--${doc.deadlineCategory}`;
-  badge.textContent = BADGE_TEXT[doc.deadlineCategory] ?? '狀態';
-  header.appendChild(badge);
+  header.appendChild(createBadges(doc));
 
   const issued = document.createElement('span');
   issued.className = 'document-card__issued';
@@ -519,29 +1551,31 @@ function createDocumentCard(doc) {
 
     const creditValueEl = document.createElement('strong');
     creditValueEl.className = 'credit-highlight__value';
-    creditValueEl.textContent = Number.isInteger(creditValue)
-      ? `${creditValue} 分`
-      : `${creditValue.toFixed(1)} 分`;
+    creditValueEl.textContent = formatCredits(creditValue);
 
     creditHighlight.append(creditLabel, creditValueEl);
   }
 
   const title = document.createElement('h2');
   title.className = 'document-card__title';
-  const titleText =
-    doc.title?.trim() || doc.subject?.trim() || '尚未提供課程標題';
-  const primaryUrl =
-    doc.detailUrl ?? doc.subjectUrl ?? doc.links?.[0]?.url ?? null;
+  const titleText = getCourseTitle(doc);
+  const primaryUrl = getPrimaryUrl(doc);
 
-  if (primaryUrl) {
+  // courses with an id open in the drawer; the rest can only link out
+  if (doc.id) {
+    const link = document.createElement('a');
+    link.href = buildCourseHash(doc.id);
+    link.append(...highlightSearchTerms(titleText));
+    title.appendChild(link);
+  } else if (primaryUrl) {
     const link = document.createElement('a');
     link.href = primaryUrl;
     link.target = '_blank';
     link.rel = 'noopener noreferrer';
-    link.textContent = titleText;
+    link.append(...highlightSearchTerms(titleText));
     title.appendChild(link);
   } else {
-    title.textContent = titleText;
+    title.append(...highlightSearchTerms(titleText));
   }
 
   const metaList = document.createElement('dl');
@@ -552,13 +1586,22 @@ function createDocumentCard(doc) {
   countdown.textContent = formatDeadlineNote(doc);
 
   const timeContent = document.createElement('span');
-  timeContent.textContent = doc.time?.trim() || '尚未提供';
+  timeContent.textContent = formatCourseTime(doc);
+  if (doc.time && doc.startAt) timeContent.title = doc.time;
 
   metaList.append(
     createMetaItem('開課倒數', countdown),
     createMetaItem('上課時間', timeContent),
+    ...createDetailMetaItems(doc),
     createMetaItem('課程連結', createLinkList(doc)),
   );
+  const matchedFiles = state.attachmentMatches.get(doc.id);
+  if (matchedFiles) {
+    const note = document.createElement('span');
+    note.className = 'attachment-match';
+    note.textContent = matchedFiles.join('、');
+    metaList.appendChild(createMetaItem('內容符合', note));
+  }
 
   const sections = [header];
   if (creditHighlight) {
@@ -566,6 +1609,11 @@ function createDocumentCard(doc) {
   }
   sections.push(title, metaList);
 
+  const actions = createCardActions(doc);
+  if (actions) {
+    sections.push(actions);
+  }
+
   card.append(...sections);
   return card;
 }
@@ -576,14 +1624,547 @@ function renderDocuments(documents) {
   );
 }
 
+function getCalendarCursor() {
+  return state.calendarCursor ?? formatTaipeiDate();
+}
+
+function groupByDay(documents) {
+  const byDay = new Map();
+  documents.forEach((doc) => {
+    const day = getCourseDay(doc);
+    if (!day) return;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(doc);
+  });
+  return byDay;
+}
+
+function formatShortDay(day) {
+  return `${Number(day.slice(5, 7))}/${Number(day.slice(8, 10))}`;
+}
+
+function createCalendarEvent(doc, { withTime = false } = {}) {
+  const item = document.createElement('span');
+  item.className = `calendar-event calendar-event--${doc.deadlineCategory}`;
+  const title = getCourseTitle(doc);
+  const start = withTime ? formatClock(doc.startAt) : null;
+  item.textContent = start ? `${start} ${title}` : title;
+  item.title = `${BADGE_TEXT[doc.deadlineCategory] ?? '狀態'}：${title}`;
+  return item;
+}
+
+function createCalendarDayButton(day, className, count) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.dataset.day = day;
+  button.setAttribute('aria-pressed', String(state.filters.day === day));
+  button.setAttribute('aria-label', `${day}，${count ? `${count} 堂課程` : '無課程'}`);
+  if (day === formatTaipeiDate()) button.classList.add(`${className}--today`);
+  if (day === state.filters.day) button.classList.add(`${className}--selected`);
+  return button;
+}
+
+function createCalendarHeader(title) {
+  const header = document.createElement('div');
+  header.className = 'calendar__header';
+
+  const heading = document.createElement('h2');
+  heading.className = 'calendar__title';
+  heading.textContent = title;
+
+  const nav = document.createElement('div');
+  nav.className = 'calendar__nav';
+  const unit = state.layout === 'month' ? '月' : '週';
+  [
+    [-1, '‹', `上一${unit}`],
+    [0, '今天', '回到今天'],
+    [1, '›', `下一${unit}`],
+  ].forEach(([step, text, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'calendar__step';
+    button.dataset.calendarStep = String(step);
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    nav.appendChild(button);
+  });
+
+  header.append(heading, nav);
+  return header;
+}
+
+function createMonthGrid(cursor, byDay) {
+  const grid = document.createElement('div');
+  grid.className = 'calendar-month';
+
+  WEEKDAY_LABELS.forEach((label) => {
+    const weekday = document.createElement('span');
+    weekday.className = 'calendar-month__weekday';
+    weekday.textContent = label;
+    grid.appendChild(weekday);
+  });
+
+  const month = cursor.slice(0, 7);
+  getMonthWeeks(cursor)
+    .flat()
+    .forEach((day) => {
+      const courses = byDay.get(day) ?? [];
+      const cell = createCalendarDayButton(day, 'calendar-day', courses.length);
+      if (!day.startsWith(month)) cell.classList.add('calendar-day--outside');
+
+      const date = document.createElement('span');
+      date.className = 'calendar-day__date';
+      date.textContent = String(Number(day.slice(8, 10)));
+      cell.appendChild(date);
+
+      courses
+        .slice(0, MONTH_CELL_LIMIT)
+        .forEach((doc) => cell.appendChild(createCalendarEvent(doc)));
+      if (courses.length > MONTH_CELL_LIMIT) {
+        const more = document.createElement('span');
+        more.className = 'calendar-day__more';
+        more.textContent = `+${courses.length - MONTH_CELL_LIMIT}`;
+        cell.appendChild(more);
+      }
+      grid.appendChild(cell);
+    });
+
+  return grid;
+}
+
+function createWeekAgenda(cursor, byDay) {
+  const list = document.createElement('ol');
+  list.className = 'calendar-week';
+
+  getWeekDays(cursor).forEach((day) => {
+    const courses = byDay.get(day) ?? [];
+    const item = document.createElement('li');
+    item.className = 'calendar-week__row';
+
+    const button = createCalendarDayButton(day, 'calendar-week__day', courses.length);
+    button.textContent = `${formatShortDay(day)}（${WEEKDAY_LABELS[getWeekday(day)]}）`;
+
+    const events = document.createElement('div');
+    events.className = 'calendar-week__events';
+    if (courses.length) {
+      events.append(...courses.map((doc) => createCalendarEvent(doc, { withTime: true })));
+    } else {
+      const empty = document.createElement('span');
+      empty.className = 'calendar-week__empty';
+      empty.textContent = '無課程';
+      events.appendChild(empty);
+    }
+
+    item.append(button, events);
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+function renderCalendar(documents) {
+  if (!elements.calendarView) return;
+  const isCalendar = state.layout !== 'grid';
+  elements.calendarView.hidden = !isCalendar;
+  if (!isCalendar) {
+    elements.calendarView.replaceChildren();
+    return;
+  }
+
+  const cursor = getCalendarCursor();
+  const byDay = groupByDay(documents);
+  if (state.layout === 'month') {
+    const title = `${cursor.slice(0, 4)} 年 ${Number(cursor.slice(5, 7))} 月`;
+    elements.calendarView.replaceChildren(
+      createCalendarHeader(title),
+      createMonthGrid(cursor, byDay),
+    );
+  } else {
+    const days = getWeekDays(cursor);
+    const range = `${formatShortDay(days[0])} – ${formatShortDay(days[6])}`;
+    const title = `${days[0].slice(0, 4)} 年 ${range}`;
+    elements.calendarView.replaceChildren(
+      createCalendarHeader(title),
+      createWeekAgenda(cursor, byDay),
+    );
+  }
+}
+
+function readCourseRoute() {
+  const match = COURSE_ROUTE_PATTERN.exec(window.location.hash);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]) || null;
+  } catch {
+    return null;
+  }
+}
+
+function buildCourseHash(id) {
+  return `#/course/${encodeURIComponent(id)}`;
+}
+
+function syncCourseRoute() {
+  state.route.courseId = readCourseRoute();
+  if (!state.route.courseId) state.route.openedInApp = false;
+  renderCourseDrawer();
+}
+
+function closeCourse() {
+  if (!state.route.courseId) return;
+  if (state.route.openedInApp) {
+    window.history.back();
+    return;
+  }
+  // a shared link has nothing in this tab's history to go back to
+  const url = new URL(window.location.href);
+  url.hash = '';
+  window.history.replaceState(null, '', url);
+  syncCourseRoute();
+}
+
+// current courses first, then ended ones and stars; ids the scraper folded
+// into a re-posted course still resolve through aliasIds
+function findRouteCourse(id) {
+  const pools = [state.documents, state.archive.documents, getStarredDocuments()];
+  for (const pool of pools) {
+    const doc = pool.find((item) => item.id === id || item.aliasIds?.includes(id));
+    if (doc) return doc;
+  }
+  return null;
+}
+
+function getRegistrationUrl(doc) {
+  if (doc.registrationUrl) return doc.registrationUrl;
+  return doc.links?.find((link) => classifyLink(link).isRegister)?.url ?? null;
+}
+
+function createCourseDrawerHeader(doc) {
+  const header = document.createElement('header');
+  header.className = 'course-drawer__header';
+
+  const title = document.createElement('h2');
+  title.id = 'courseDrawerTitle';
+  title.className = 'course-drawer__title';
+  title.textContent = getCourseTitle(doc);
+
+  header.append(createBadges(doc), title);
+  return header;
+}
+
+function createCourseDrawerMeta(doc) {
+  const metaList = document.createElement('dl');
+  metaList.className = 'document-card__meta';
+
+  const day = getCourseDay(doc);
+  const date = day ? `${day}（${WEEKDAY_LABELS[getWeekday(day)]}）` : doc.date || '尚未提供';
+  metaList.append(
+    createMetaItem('課程日期', date),
+    createMetaItem('開課倒數', formatDeadlineNote(doc)),
+    createMetaItem('上課時間', formatCourseTime(doc)),
+  );
+  if (hasCredits(doc)) {
+    metaList.appendChild(createMetaItem('課程總分', formatCredits(doc.credits)));
+  }
+  metaList.append(...createDetailMetaItems(doc));
+  if (state.sources.length > 1) {
+    const source = state.sources.find((item) => item.id === doc.source);
+    metaList.appendChild(createMetaItem('課程來源', source?.name ?? doc.source));
+  }
+  return metaList;
+}
+
+function createCourseDrawerSection(heading, ...children) {
+  const section = document.createElement('section');
+  section.className = 'course-drawer__section';
+  const title = document.createElement('h3');
+  title.className = 'section-title';
+  title.textContent = heading;
+  section.append(title, ...children);
+  return section;
+}
+
+function createDrawerEmpty(text) {
+  const empty = document.createElement('p');
+  empty.className = 'course-drawer__empty';
+  empty.textContent = text;
+  return empty;
+}
+
+function createCourseDescription(doc) {
+  if (!doc.description) {
+    return createDrawerEmpty('公會網站未提供課程說明，詳細內容請見附件或原始頁面。');
+  }
+  const description = document.createElement('p');
+  description.className = 'course-drawer__description';
+  description.textContent = doc.description;
+  return description;
+}
+
+// each file previews in place, so several can be compared while scrolling
+function createCourseFiles(doc) {
+  const seen = new Set();
+  const files = (doc.attachments ?? []).filter((file) => {
+    if (!file?.url || seen.has(file.url)) return false;
+    seen.add(file.url);
+    return true;
+  });
+  if (!files.length) return createDrawerEmpty('尚未提供附件');
+
+  const list = document.createElement('ul');
+  list.className = 'course-drawer__files';
+  files.forEach((file, index) => {
+    const label = file.label?.trim() || `附件 ${String(index + 1).padStart(2, '0')}`;
+    const item = document.createElement('li');
+    item.className = 'course-drawer__file';
+
+    const name = document.createElement('span');
+    name.className = 'course-drawer__file-name';
+    name.textContent = label;
+
+    const previewButton = document.createElement('button');
+    previewButton.type = 'button';
+    previewButton.className = 'card-action';
+    previewButton.textContent = '預覽';
+    previewButton.setAttribute('aria-expanded', 'false');
+    previewButton.addEventListener('click', () => {
+      const open = item.querySelector('iframe');
+      if (open) {
+        open.remove();
+      } else {
+        const iframe = document.createElement('iframe');
+        iframe.src = buildPreviewUrl(file.url) || file.url;
+        iframe.title = `${label} 預覽`;
+        iframe.loading = 'lazy';
+        iframe.referrerPolicy = 'no-referrer';
+        item.appendChild(iframe);
+      }
+      previewButton.textContent = open ? '預覽' : '收合預覽';
+      previewButton.setAttribute('aria-expanded', String(!open));
+    });
+
+    const download = document.createElement('a');
+    download.className = 'card-action';
+    download.href = file.url;
+    download.target = '_blank';
+    download.rel = 'noopener noreferrer';
+    download.textContent = '下載';
+
+    item.append(name, previewButton, download);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function createCourseDrawerActions(doc) {
+  const actions = document.createElement('div');
+  actions.className = 'document-card__actions course-drawer__actions';
+
+  const registrationUrl = getRegistrationUrl(doc);
+  const canRegister =
+    doc.deadlineCategory !== 'expired' &&
+    !['full', 'closed'].includes(doc.registrationStatus);
+  if (registrationUrl && canRegister) {
+    const register = document.createElement('a');
+    register.className = 'attachment-link attachment-link--register';
+    register.href = registrationUrl;
+    register.target = '_blank';
+    register.rel = 'noopener noreferrer';
+    register.textContent = '前往報名';
+    actions.appendChild(register);
+  }
+
+  const cardActions = createCardActions(doc);
+  if (cardActions) actions.append(...cardActions.children);
+
+  const primaryUrl = getPrimaryUrl(doc);
+  if (primaryUrl) {
+    const source = document.createElement('a');
+    source.className = 'card-action';
+    source.href = primaryUrl;
+    source.target = '_blank';
+    source.rel = 'noopener noreferrer';
+    source.textContent = '公會網站原始頁面';
+    actions.appendChild(source);
+  }
+  return actions;
+}
+
+function showCourseDrawer(children, title) {
+  const drawer = elements.courseDrawer;
+  const wasHidden = drawer.hidden;
+  elements.courseDrawerContent.replaceChildren(...children);
+  drawer.hidden = false;
+  drawer.setAttribute('aria-hidden', 'false');
+  document.body.classList.add('has-course-drawer');
+  document.title = title ? `${title}｜高雄建築師公會` : SITE_TITLE;
+  if (wasHidden) drawer.querySelector('.course-drawer__close')?.focus();
+}
+
+function hideCourseDrawer() {
+  const drawer = elements.courseDrawer;
+  if (drawer.hidden) return;
+  // dropping the content also stops any preview still loading
+  elements.courseDrawerContent.replaceChildren();
+  delete elements.courseDrawerContent.dataset.courseId;
+  drawer.hidden = true;
+  drawer.setAttribute('aria-hidden', 'true');
+  document.body.classList.remove('has-course-drawer');
+  document.title = SITE_TITLE;
+}
+
+/**
+ * Shows the course of the current #/course/<id> route. Called on every render:
+ * when the same course is already shown only its badges and buttons are
+ * rebuilt, so open previews and the scroll position survive a star toggle.
+ */
+function renderCourseDrawer() {
+  if (!elements.courseDrawer || !elements.courseDrawerContent) return;
+  const id = state.route.courseId;
+  if (!id) {
+    hideCourseDrawer();
+    return;
+  }
+
+  const content = elements.courseDrawerContent;
+  const doc = findRouteCourse(id);
+  if (!doc) {
+    // an ended course is only in the archive
+    const archivePending = ['idle', 'loading'].includes(state.archive.status);
+    if (state.documents.length && state.archive.status === 'idle') loadArchive();
+    delete content.dataset.courseId;
+    const message = archivePending
+      ? '課程載入中...'
+      : '找不到這堂課程，可能已從公會網站移除。';
+    showCourseDrawer([createDrawerEmpty(message)], null);
+    return;
+  }
+
+  if (content.dataset.courseId === doc.id) {
+    const header = content.querySelector('.course-drawer__header');
+    const actions = content.querySelector('.course-drawer__actions');
+    header?.replaceWith(createCourseDrawerHeader(doc));
+    actions?.replaceWith(createCourseDrawerActions(doc));
+    return;
+  }
+
+  content.dataset.courseId = doc.id;
+  showCourseDrawer(
+    [
+      createCourseDrawerHeader(doc),
+      createCourseDrawerMeta(doc),
+      createCourseDrawerSection('課程說明', createCourseDescription(doc)),
+      createCourseDrawerSection('附件', createCourseFiles(doc)),
+      createCourseDrawerActions(doc),
+    ],
+    getCourseTitle(doc),
+  );
+  content.scrollTop = 0;
+}
+
+function renderHistory(documents) {
+  if (!elements.historySection || !elements.historyList) return;
+  elements.historySection.hidden = documents.length === 0;
+  elements.historyList.replaceChildren(
+    ...documents.map((doc) => createDocumentCard(doc)),
+  );
+}
+
+async function loadArchive() {
+  if (state.archive.status !== 'idle') return;
+  state.archive.status = 'loading';
+
+  try {
+    const response = await fetch(`${ARCHIVE_URL}?_=${Date.now()}`, {
+      cache: 'no-store',
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    state.archive.documents = (payload.courses ?? []).map((doc) => enrichCourse(doc));
+    state.archive.status = 'loaded';
+  } catch (error) {
+    console.error('Unable to load course archive', error);
+    state.archive.status = 'error';
+  }
+
+  render();
+}
+
+async function loadSearchIndex() {
+  if (state.searchIndex.status !== 'idle') return;
+  state.searchIndex.status = 'loading';
+
+  try {
+    const response = await fetch(`${SEARCH_INDEX_URL}?_=${Date.now()}`, {
+      cache: 'no-store',
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    state.searchIndex.files = payload.files ?? {};
+    state.searchIndex.courses = payload.courses ?? {};
+    state.searchIndex.status = 'loaded';
+  } catch (error) {
+    // title search still works without it
+    console.warn('Unable to load attachment search index', error);
+    state.searchIndex.status = 'error';
+    return;
+  }
+
+  if (state.filters.search) render();
+}
+
 function render() {
-  state.filtered = applyFilters();
-  updateStatus(state.filtered.length, state.documents.length);
+  if (wantsArchive() && state.archive.status === 'idle') {
+    loadArchive();
+  }
+  if (state.filters.search && state.searchIndex.status === 'idle') {
+    loadSearchIndex();
+  }
+
+  // the calendar shows every match; the list below narrows to the picked day
+  const matched = applyFilters();
+  renderCategoryFilter();
+  renderCalendar(matched);
+  const results = state.filters.day
+    ? matched.filter((doc) => getCourseDay(doc) === state.filters.day)
+    : matched;
+  const isSavedView = state.view === 'saved';
+  const history = isSavedView
+    ? results.filter((doc) => doc.deadlineCategory === 'expired')
+    : [];
+
+  state.filtered = isSavedView
+    ? results.filter((doc) => doc.deadlineCategory !== 'expired')
+    : results;
+  updateStatus(
+    state.filtered.length,
+    isSavedView ? state.starred.size : getBrowsableDocuments().length,
+  );
   setDocumentListVisibility(state.filtered.length > 0);
 
   if (state.filtered.length) {
     renderDocuments(state.filtered);
   }
+  renderHistory(history);
+  renderCreditTracker();
+  renderCourseDrawer();
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+    console.warn('Service worker registration failed', error);
+  });
+}
+
+function setOfflineIndicator(isOffline) {
+  state.isOffline = isOffline;
+  if (elements.offlineIndicator) elements.offlineIndicator.hidden = !isOffline;
 }
 
 async function loadDocuments() {
@@ -596,11 +2177,22 @@ async function loadDocuments() {
       throw new Error(`HTTP ${response.status}`);
     }
 
+    setOfflineIndicator(response.headers?.get(OFFLINE_HEADER) === '1');
+
     const payload = await response.json();
     const documents = payload.courses ?? payload.documents ?? [];
 
-    state.documents = documents.map(enrichDocument);
+    state.documents = documents.map((doc) => enrichCourse(doc));
+    migrateAliasedRecords(state.documents);
+    state.sources = collectSources(payload.sources, state.documents);
+    renderSourceFilter();
+    state.categories = payload.categories ?? [];
+    const knownCategories = new Set(state.categories.map((category) => category.id));
+    state.filters.categories = new Set(
+      [...state.filters.categories].filter((id) => knownCategories.has(id)),
+    );
     render();
+    loadChanges();
 
     const stamp = payload.updatedAt || payload.scrapedAt || null;
     if (stamp) {
@@ -614,5 +2206,3 @@ async function loadDocuments() {
     elements.status.classList.add('status--error');
   }
 }
-
-loadDocuments();
@@ -0,0 +1,68 @@
+// Day arithmetic for the month and week layouts. Days are `YYYY-MM-DD` keys in
+// Asia/Taipei; the math runs on UTC dates so the viewer's offset never shifts
+// a day. Pure functions only: no DOM, no Node built-ins.
+
+export const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function toUtcDate(day) {
+  const [, year, month, date] = DAY_KEY_PATTERN.exec(day);
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(date)));
+}
+
+function toDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function isDayKey(value) {
+  return (
+    typeof value === 'string' &&
+    DAY_KEY_PATTERN.test(value) &&
+    toDayKey(toUtcDate(value)) === value
+  );
+}
+
+// the course date as a day key; list dates come as YYYY-MM-DD or YYYY/MM/DD
+export function getCourseDay(course) {
+  const day = course.date?.trim().replace(/\//g, '-');
+  return isDayKey(day) ? day : null;
+}
+
+export function addDays(day, count) {
+  const date = toUtcDate(day);
+  date.setUTCDate(date.getUTCDate() + count);
+  return toDayKey(date);
+}
+
+// first day of the month `count` months away
+export function addMonths(day, count) {
+  const date = toUtcDate(day);
+  return toDayKey(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1)));
+}
+
+// weeks start on Sunday, as on Taiwanese wall calendars
+export function startOfWeek(day) {
+  return addDays(day, -toUtcDate(day).getUTCDay());
+}
+
+export function getWeekDays(day) {
+  const first = startOfWeek(day);
+  return Array.from({ length: 7 }, (_, index) => addDays(first, index));
+}
+
+// whole weeks covering the month of `day`, padded with days of the
+// neighbouring months
+export function getMonthWeeks(day) {
+  const first = addMonths(day, 0);
+  const last = addDays(addMonths(day, 1), -1);
+  const weeks = [];
+  for (let start = startOfWeek(first); start <= last; start = addDays(start, 7)) {
+    weeks.push(getWeekDays(start));
+  }
+  return weeks;
+}
+
+export function getWeekday(day) {
+  return toUtcDate(day).getUTCDay();
+}
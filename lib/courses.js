@@ -0,0 +1,255 @@
+// Course-domain helpers shared by the browser app, the scraper and the LINE bot.
+// Pure functions only: no DOM, no Node built-ins.
+
+export const DEADLINE_SOON_DAYS = 7;
+// courses scraped before source adapters existed all came from KAA
+export const DEFAULT_SOURCE = 'kaa';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGISTER_LABEL_PATTERN = /報名/;
+const REGISTER_URL_PATTERN = /register|signup|enroll|apply/;
+const DOWNLOAD_LABEL_PATTERN = /下載|附件|檔案/;
+const DOWNLOAD_URL_PATTERN = /\.pdf\b|download\.php/;
+
+const taipeiDateFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Asia/Taipei',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+/**
+ * Parses a course date. Plain `YYYY-MM-DD` (or `YYYY/MM/DD`) values mean the
+ * start of that day in Asia/Taipei; anything else goes to the Date parser.
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  const normalized = value.trim().replace(/\//g, '-');
+  const isoCandidate =
+    normalized.length === 10 ? `${normalized}T00:00:00+08:00` : normalized;
+  const parsed = new Date(isoCandidate);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// YYYY-MM-DD of the given instant in Asia/Taipei
+export function formatTaipeiDate(now = Date.now()) {
+  return taipeiDateFormatter.format(now);
+}
+
+export function getTaipeiToday(now = Date.now()) {
+  return parseDate(formatTaipeiDate(now));
+}
+
+export function getCourseId(course) {
+  if (course.id) return String(course.id);
+  const url = course.detailUrl ?? course.registrationUrl;
+  if (!url) return null;
+  try {
+    return new URL(url).searchParams.get('b') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Classifies a course date against today in Asia/Taipei. A course stays
+ * `due-soon`/`active` for its whole day and only becomes `expired` the next
+ * day; a missing or unparseable date is `no-deadline`.
+ */
+export function classifyDeadline(value, { now = Date.now() } = {}) {
+  const deadlineDate = parseDate(value);
+  const today = getTaipeiToday(now);
+
+  if (!deadlineDate || !today) {
+    return { deadlineDate, deadlineCategory: 'no-deadline', daysUntilDeadline: null };
+  }
+
+  const daysUntilDeadline = Math.floor(
+    (deadlineDate.getTime() - today.getTime()) / DAY_MS,
+  );
+  let deadlineCategory = 'active';
+  if (daysUntilDeadline < 0) {
+    deadlineCategory = 'expired';
+  } else if (daysUntilDeadline <= DEADLINE_SOON_DAYS) {
+    deadlineCategory = 'due-soon';
+  }
+  return { deadlineDate, deadlineCategory, daysUntilDeadline };
+}
+
+export function isExpired(value, options) {
+  return classifyDeadline(value, options).deadlineCategory === 'expired';
+}
+
+/**
+ * Registration state on the day of `now`. Markers from the site ("已額滿",
+ * "報名截止") win; otherwise a passed registration deadline or course day
+ * means 'closed', a future opening date 'not-yet-open', and a sign-up link or
+ * deadline still ahead 'open'. Null when the site gives nothing to go on.
+ */
+export function classifyRegistration(course, { now = Date.now() } = {}) {
+  const marker = course.registrationMarker;
+  if (marker === 'full' || marker === 'closed') return marker;
+  if (
+    isExpired(course.registrationDeadline, { now }) ||
+    isExpired(course.deadline ?? course.date, { now })
+  ) {
+    return 'closed';
+  }
+
+  const opens = parseDate(course.registrationOpens);
+  if (opens) {
+    if (opens.getTime() > getTaipeiToday(now).getTime()) return 'not-yet-open';
+  } else if (marker === 'not-yet-open') {
+    return 'not-yet-open';
+  }
+  return course.registrationUrl || course.registrationDeadline || opens ? 'open' : null;
+}
+
+export function getCourseSource(course) {
+  return course.source || DEFAULT_SOURCE;
+}
+
+/**
+ * Adds the derived fields every consumer relies on: parsed dates, the status
+ * category, the number of days until the course and the registration state.
+ */
+export function enrichCourse(course, { now = Date.now() } = {}) {
+  return {
+    ...course,
+    id: getCourseId(course),
+    source: getCourseSource(course),
+    issuedDate: parseDate(course.date),
+    ...classifyDeadline(course.deadline ?? course.date, { now }),
+    registrationStatus: classifyRegistration(course, { now }),
+  };
+}
+
+// NFKC folds full-width letters and digits, 臺 and 台 are written
+// interchangeably, and PDF text often splits CJK words with spaces, so
+// whitespace is dropped on both sides of a comparison
+export function normalizeSearchText(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, '')
+    .replace(/臺/g, '台')
+    .toLowerCase();
+}
+
+// whitespace-separated terms, each of which must match somewhere
+export function tokenizeSearch(query) {
+  const terms = String(query ?? '')
+    .normalize('NFKC')
+    .split(/\s+/)
+    .map(normalizeSearchText)
+    .filter(Boolean);
+  return [...new Set(terms)];
+}
+
+// [weight, texts of the course searched with that weight]
+const SEARCH_FIELDS = [
+  [10, (course) => [course.title ?? course.subject]],
+  [3, (course) => [course.venue, ...(course.speakers ?? [])]],
+  [2, (course) => [course.date, course.deadline, course.time]],
+  [
+    1,
+    (course) =>
+      [...(course.links ?? []), ...(course.attachments ?? [])].flatMap((link) => [
+        link.label,
+        link.url,
+      ]),
+  ],
+];
+// attachment content is long and loosely related, so it ranks lowest
+const EXTRA_TEXT_WEIGHT = 0.5;
+
+/**
+ * Relevance of a course for tokenized search terms: 0 when any term is
+ * missing, otherwise the summed weights of the fields each term appears in.
+ * `extraTexts` are already normalized texts such as attachment content.
+ */
+export function scoreSearch(course, terms, extraTexts = []) {
+  const fields = SEARCH_FIELDS.map(([weight, read]) => [
+    weight,
+    read(course).filter(Boolean).map(normalizeSearchText),
+  ]);
+
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    fields.forEach(([weight, texts]) => {
+      if (texts.some((text) => text.includes(term))) termScore += weight;
+    });
+    if (extraTexts.some((text) => text.includes(term))) termScore += EXTRA_TEXT_WEIGHT;
+    if (!termScore) return 0;
+    score += termScore;
+  }
+  return score;
+}
+
+export function matchesSearch(course, query) {
+  const terms = tokenizeSearch(query);
+  return terms.length === 0 || scoreSearch(course, terms) > 0;
+}
+
+/**
+ * [start, end) ranges of `text` covered by any term, merged and in order.
+ * Terms are normalized, so each character is normalized on its own to map
+ * matches back onto the original string.
+ */
+export function findSearchMatches(text, terms) {
+  let normalized = '';
+  // original [start, end) of the character each normalized one came from
+  const sources = [];
+  let offset = 0;
+  for (const character of String(text ?? '')) {
+    const folded = normalizeSearchText(character);
+    normalized += folded;
+    for (let index = 0; index < folded.length; index += 1) {
+      sources.push([offset, offset + character.length]);
+    }
+    offset += character.length;
+  }
+
+  const ranges = [];
+  terms.forEach((term) => {
+    if (!term) return;
+    let from = normalized.indexOf(term);
+    while (from !== -1) {
+      ranges.push([sources[from][0], sources[from + term.length - 1][1]]);
+      from = normalized.indexOf(term, from + 1);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+export function hasCredits(course) {
+  return Number(course.credits ?? 0) > 0;
+}
+
+// "20" or "1.5"; null when there is no usable number
+export function formatCreditValue(value) {
+  const number = Number(value);
+  if (value == null || value === '' || !Number.isFinite(number)) return null;
+  return Number.isInteger(number) ? `${number}` : number.toFixed(1);
+}
+
+export function formatCredits(value) {
+  const text = formatCreditValue(value);
+  return text == null ? null : `${text} 分`;
+}
+
+export function classifyLink(link) {
+  const label = link?.label?.trim() ?? '';
+  const url = (link?.url ?? '').toLowerCase();
+  return {
+    isRegister: REGISTER_LABEL_PATTERN.test(label) || REGISTER_URL_PATTERN.test(url),
+    isDownload: DOWNLOAD_LABEL_PATTERN.test(label) || DOWNLOAD_URL_PATTERN.test(url),
+  };
+}
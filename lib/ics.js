@@ -0,0 +1,142 @@
+// iCalendar (RFC 5545) builders shared by the browser and the fetch script.
+import { formatCredits, getCourseId, getCourseSource, hasCredits } from './courses.js';
+
+const PRODID = '-//Thinklab Architects//KAA Courses//ZH-TW';
+const CALENDAR_NAME = '高雄建築師公會課程';
+const TIMEZONE = 'Asia/Taipei';
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // continuation lines start with a space, which counts against the limit
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function toUtcStamp(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function toDateStamp(dateText) {
+  const match = dateText?.trim().match(/^(\d{4})[-/](\d{2})[-/](\d{2})$/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+function nextDateStamp(dateStamp) {
+  const year = Number(dateStamp.slice(0, 4));
+  const month = Number(dateStamp.slice(4, 6));
+  const day = Number(dateStamp.slice(6, 8));
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return next.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// prefixed with the source so ids of two sources never collide; KAA keeps
+// the `kaa-course-<id>` UIDs that subscribed calendars already hold
+export function getCourseUid(course) {
+  const prefix = `${getCourseSource(course)}-course`;
+  const id = getCourseId(course);
+  if (id) return `${prefix}-${id}@kaa.org.tw`;
+
+  const seed = `${course.date ?? ''}-${course.title ?? ''}`;
+  let hash = 0;
+  for (const char of seed) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return `${prefix}-${hash.toString(16)}@kaa.org.tw`;
+}
+
+function describeCourse(course) {
+  const lines = [];
+  if (course.time) lines.push(`上課時間：${course.time}`);
+  if (hasCredits(course)) lines.push(`課程總分：${formatCredits(course.credits)}`);
+  if (course.venue) lines.push(`上課地點：${course.venue}`);
+  if (course.detailUrl) lines.push(`課程資訊：${course.detailUrl}`);
+  if (course.registrationUrl) lines.push(`線上報名：${course.registrationUrl}`);
+  return lines.join('\n');
+}
+
+/**
+ * Builds the VEVENT lines for one course. Courses with structured times get
+ * timed events; the rest fall back to an all-day event on the course date.
+ * Returns an empty array when the course has no usable date.
+ */
+export function buildCourseEvent(course, { dtstamp = new Date() } = {}) {
+  const start = toUtcStamp(course.startAt);
+  const end = course.endAt ? toUtcStamp(course.endAt) : null;
+  const day = toDateStamp(course.date);
+  if (!start && !day) return [];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getCourseUid(course)}`,
+    `DTSTAMP:${toUtcStamp(dtstamp) ?? toUtcStamp(new Date())}`,
+  ];
+
+  if (start) {
+    lines.push(`DTSTART:${start}`);
+    if (end) {
+      lines.push(`DTEND:${end}`);
+    } else {
+      lines.push('DURATION:PT3H');
+    }
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${nextDateStamp(day)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(course.title ?? '高雄建築師公會課程')}`);
+  const description = describeCourse(course);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (course.venue) lines.push(`LOCATION:${escapeText(course.venue)}`);
+  if (course.detailUrl) lines.push(`URL:${course.detailUrl}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+export function buildCalendar(courses, { dtstamp = new Date(), name = CALENDAR_NAME } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+
+  courses.forEach((course) => {
+    lines.push(...buildCourseEvent(course, { dtstamp }));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,89 @@
+// Atom (RFC 4287) feed of courses for feed readers and chat integrations.
+import { formatCredits, getCourseId, hasCredits } from '../lib/courses.js';
+
+const SITE_URL = 'https://thinklab-architects.github.io/line-courses/';
+const FEED_TITLE = '高雄建築師公會課程';
+const TAG_AUTHORITY = 'tag:thinklab-architects.github.io,2025:line-courses';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toIsoString(value, fallback) {
+  const timestamp = Date.parse(value ?? '');
+  return Number.isNaN(timestamp) ? fallback : new Date(timestamp).toISOString();
+}
+
+function getEntryId(course) {
+  const id = getCourseId(course);
+  if (id) return `${TAG_AUTHORITY}/course/${id}`;
+  // courses without a detail page fall back to date + title, which is stable
+  // as long as KAA does not retitle the listing
+  const slug = encodeURIComponent(`${course.date ?? ''}-${course.title ?? ''}`);
+  return `${TAG_AUTHORITY}/course/${slug}`;
+}
+
+function describeCourse(course) {
+  const lines = [`課程日期：${course.date ?? '尚未提供'}`];
+  lines.push(`上課時間：${course.time ?? '尚未提供'}`);
+  if (hasCredits(course)) lines.push(`課程總分：${formatCredits(course.credits)}`);
+  if (course.venue) lines.push(`上課地點：${course.venue}`);
+  if (course.registrationUrl) lines.push(`線上報名：${course.registrationUrl}`);
+  if (course.detailUrl) lines.push(`課程資訊：${course.detailUrl}`);
+  return lines.join('\n');
+}
+
+function buildEntry(course, fallbackUpdated) {
+  const updated = toIsoString(
+    course.lastChangedAt ?? course.firstSeen,
+    fallbackUpdated,
+  );
+  const published = toIsoString(course.firstSeen, updated);
+  const link = course.detailUrl ?? course.registrationUrl ?? SITE_URL;
+
+  return [
+    '  <entry>',
+    `    <id>${escapeXml(getEntryId(course))}</id>`,
+    `    <title>${escapeXml(course.title ?? '高雄建築師公會課程')}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+    `    <published>${published}</published>`,
+    `    <updated>${updated}</updated>`,
+    `    <content type="text">${escapeXml(describeCourse(course))}</content>`,
+    '  </entry>',
+  ].join('\n');
+}
+
+/**
+ * Builds an Atom document with one entry per course, newest change first.
+ * Entry `updated` values come from change detection (`lastChangedAt`),
+ * falling back to when the course was first seen.
+ */
+export function buildAtomFeed(courses, { updatedAt, siteUrl = SITE_URL } = {}) {
+  const feedUpdated = toIsoString(updatedAt, new Date().toISOString());
+  const entries = courses
+    .map((course) => ({
+      course,
+      updated: toIsoString(course.lastChangedAt ?? course.firstSeen, feedUpdated),
+    }))
+    .sort((a, b) => b.updated.localeCompare(a.updated))
+    .map(({ course }) => buildEntry(course, feedUpdated));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="zh-Hant">',
+    `  <id>${TAG_AUTHORITY}/courses</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    `  <updated>${feedUpdated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(new URL('data/courses.atom', siteUrl).href)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    '  <author><name>社團法人高雄市建築師公會</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,105 @@
+// Downloads course PDF attachments and extracts their text into
+// data/search-index.json, which the page uses to match searches against
+// syllabi, speaker bios and maps.
+import { extractText, getDocumentProxy } from 'unpdf';
+import { normalizeSearchText } from '../lib/courses.js';
+
+// bump when normalizeSearchText changes so stored text is extracted again
+export const SEARCH_INDEX_VERSION = 2;
+// larger files are scanned posters; the download stops once it passes this
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+// per file, after normalization; keeps the index small enough to load on search
+const MAX_TEXT_LENGTH = 20000;
+
+export function isPdf(buffer, contentType) {
+  if (/application\/pdf/i.test(contentType ?? '')) return true;
+  return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+export async function extractPdfText(buffer) {
+  // pdf.js takes ownership of the bytes it is given, so hand it a copy
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  try {
+    const { text } = await extractText(pdf, { mergePages: true });
+    return normalizeSearchText(text).slice(0, MAX_TEXT_LENGTH);
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// text of a downloaded attachment, or null when it is too large or not a PDF
+async function readAttachment({ tooLarge, buffer, contentType }) {
+  if (tooLarge || buffer.length > MAX_ATTACHMENT_BYTES || !isPdf(buffer, contentType)) {
+    return null;
+  }
+  return extractPdfText(buffer);
+}
+
+/**
+ * Builds { version, updatedAt, files, courses }: files maps an attachment URL
+ * to { checkedAt, text } (text null for anything but a PDF) and courses maps a
+ * course id to its attachment URLs. Files already in `previous` are reused;
+ * failed downloads are left out so the next run tries again.
+ */
+export async function buildSearchIndex(
+  courses,
+  previous,
+  { download, concurrency = 4, now = new Date() },
+) {
+  const known = previous?.version === SEARCH_INDEX_VERSION ? previous.files ?? {} : {};
+  const stats = { cached: 0, extracted: 0, skipped: 0, failed: 0 };
+  const files = {};
+  const courseFiles = {};
+
+  courses.forEach((course) => {
+    const urls = (course.attachments ?? []).map((file) => file.url).filter(Boolean);
+    if (course.id && urls.length) courseFiles[course.id] = urls;
+  });
+
+  const pending = [];
+  new Set(Object.values(courseFiles).flat()).forEach((url) => {
+    if (known[url]) {
+      stats.cached += 1;
+      files[url] = known[url];
+    } else {
+      pending.push(url);
+    }
+  });
+
+  let cursor = 0;
+  async function worker() {
+    while (cursor < pending.length) {
+      const url = pending[cursor];
+      cursor += 1;
+      try {
+        const text = await readAttachment(
+          await download(url, { maxBytes: MAX_ATTACHMENT_BYTES }),
+        );
+        stats[text == null ? 'skipped' : 'extracted'] += 1;
+        files[url] = { checkedAt: now.toISOString(), text };
+      } catch (error) {
+        console.warn(`Failed to read attachment ${url}: ${error.message}`);
+        stats.failed += 1;
+      }
+    }
+  }
+
+  const workerCount = Math.min(concurrency, pending.length);
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+  return {
+    index: {
+      version: SEARCH_INDEX_VERSION,
+      updatedAt: now.toISOString(),
+      files,
+      courses: courseFiles,
+    },
+    stats,
+  };
+}
+
+export function formatSearchIndexStats(stats) {
+  return (
+    `Attachments: ${stats.extracted} extracted, ${stats.cached} cached, ` +
+    `${stats.skipped} skipped (too large or not a PDF), ${stats.failed} failed`
+  );
+}
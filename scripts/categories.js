@@ -0,0 +1,65 @@
+// Tags courses with series, topics and title markers from a keyword table.
+// Rules are tried against the NFKC-normalized title, so full-width letters
+// match too; a course gets every category whose pattern matches. Add a row
+// here to introduce a category: ids are stored on courses and in filter URLs,
+// so rename labels freely but keep ids stable.
+
+export const CATEGORY_RULES = [
+  // recurring series KAA runs under one name
+  { id: 'dadong', kind: 'series', label: '大東講堂', pattern: /大東講堂/ },
+  { id: 'permit-training', kind: 'series', label: '建照委審教育訓練', pattern: /建照委審教育訓練/ },
+  { id: 'academic', kind: 'series', label: '學術講座', pattern: /學術(?:講座|講習|.*參訪)/ },
+  { id: 'legal', kind: 'series', label: '法益講座', pattern: /法益講座/ },
+  { id: 'it', kind: 'series', label: '資訊講座', pattern: /資訊講座/ },
+  { id: 'education', kind: 'series', label: '教育推廣', pattern: /教育推廣/ },
+
+  { id: 'fire', kind: 'topic', label: '消防', pattern: /消防|防火|避難/ },
+  {
+    id: 'green',
+    kind: 'topic',
+    label: '綠建築',
+    pattern: /綠建築|綠色建築|淨零|減碳|低碳|碳排|蘊含碳|能效|節能|永續|光電|太陽能/,
+  },
+  {
+    id: 'regulation',
+    kind: 'topic',
+    label: '法規',
+    pattern: /法規|審查|審議|執照|建築線|規範|新制|履約|竣工查驗/,
+  },
+  { id: 'renewal', kind: 'topic', label: '都更', pattern: /都更|都市更新|危老|老宅|延壽/ },
+  { id: 'structure', kind: 'topic', label: '結構耐震', pattern: /結構|耐震|補強/ },
+  {
+    id: 'construction',
+    kind: 'topic',
+    label: '施工監造',
+    pattern: /施工|監造|工程|專案管理|機水電/,
+  },
+  {
+    id: 'digital',
+    kind: 'topic',
+    label: '數位科技',
+    pattern: /\bAI\b|AIoT|BIM|3D|點雲|數位|資訊講座/i,
+  },
+  { id: 'interior', kind: 'topic', label: '室內裝修', pattern: /室裝|室內裝修|室內設計/ },
+  {
+    id: 'culture',
+    kind: 'topic',
+    label: '人文藝術',
+    pattern: /藝術|人文|攝影|手繪|書法|美學|博物館|特展/,
+  },
+  { id: 'tour', kind: 'topic', label: '參訪', pattern: /參訪|走讀/ },
+
+  // notes KAA writes into the title itself
+  { id: 'no-credits', kind: 'marker', label: '無積分', pattern: /無積分/ },
+];
+
+// category ids in table order
+export function classifyCourse(course) {
+  const title = (course.title ?? '').normalize('NFKC');
+  return CATEGORY_RULES.filter((rule) => rule.pattern.test(title)).map((rule) => rule.id);
+}
+
+// the table as written into courses.json, so the page can label and order chips
+export function describeCategories() {
+  return CATEGORY_RULES.map(({ id, kind, label }) => ({ id, kind, label }));
+}
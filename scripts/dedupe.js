@@ -0,0 +1,146 @@
+// Collapses duplicate course rows: the same detail id seen twice because the
+// list shifted between page fetches, or a re-posting of a course under a new id
+// with a slightly different title on the same date.
+
+// 0..1 bigram overlap above which two same-day titles count as one course
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+// parenthesised status notes KAA appends or drops when re-posting
+const TITLE_MARKER_PATTERN =
+  /[(（][^()（）]*(?:無積分|額滿|延期|取消|更正|修正|重新公告|重新開放)[^()（）]*[)）]/g;
+const TITLE_NOISE_PATTERN = /[\s「」『』"'“”‘’]/g;
+// session and ordinal tokens ("上午場", "第二梯次", "第3講") that tell apart
+// otherwise identical titles held on the same day
+const SESSION_TOKEN_PATTERN =
+  /(?:上午|下午|晚上|夜間)場|第[\d一二三四五六七八九十]+(?:梯次|梯|場次|場|講|堂|期|次|天)/g;
+// fields a re-post sets through its own title notes ("本場無積分", "已額滿"),
+// so they are never taken from the older posting
+const POSTING_FIELDS = ['credits', 'registrationMarker'];
+
+export function normalizeTitle(title) {
+  return (title ?? '')
+    .normalize('NFKC')
+    .replace(TITLE_MARKER_PATTERN, '')
+    .replace(TITLE_NOISE_PATTERN, '')
+    .toLowerCase();
+}
+
+function toBigrams(text) {
+  const bigrams = new Map();
+  for (let index = 0; index < text.length - 1; index += 1) {
+    const bigram = text.slice(index, index + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+  }
+  return bigrams;
+}
+
+// Sørensen–Dice coefficient over character bigrams
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftBigrams = toBigrams(left);
+  const rightBigrams = toBigrams(right);
+  let shared = 0;
+  leftBigrams.forEach((count, bigram) => {
+    shared += Math.min(count, rightBigrams.get(bigram) ?? 0);
+  });
+  const total = left.length - 1 + (right.length - 1);
+  return total > 0 ? (2 * shared) / total : 0;
+}
+
+function getSessionKey(title) {
+  return (normalizeTitle(title).match(SESSION_TOKEN_PATTERN) ?? []).join('|');
+}
+
+function isSameCourse(a, b) {
+  if (a.source !== b.source || !a.date || a.date !== b.date) return false;
+  if (getSessionKey(a.title) !== getSessionKey(b.title)) return false;
+  return titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD;
+}
+
+function isEmptyValue(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function unionByUrl(...lists) {
+  const seen = new Set();
+  return lists.flat().filter((item) => {
+    if (!item?.url || seen.has(item.url)) return false;
+    seen.add(item.url);
+    return true;
+  });
+}
+
+// the newer posting (higher numeric id) carries the current title and links
+function pickPrimary(a, b) {
+  const aId = Number(a.id);
+  const bId = Number(b.id);
+  if (Number.isFinite(aId) && Number.isFinite(bId) && bId > aId) return [b, a];
+  return [a, b];
+}
+
+function mergeDuplicate(primary, secondary, reason) {
+  const merged = { ...primary };
+  Object.keys(secondary).forEach((key) => {
+    if (reason === 'similar-title' && POSTING_FIELDS.includes(key)) return;
+    if (isEmptyValue(merged[key]) && !isEmptyValue(secondary[key])) {
+      merged[key] = secondary[key];
+    }
+  });
+
+  merged.links = unionByUrl(primary.links ?? [], secondary.links ?? []);
+  merged.attachments = unionByUrl(primary.attachments ?? [], secondary.attachments ?? []);
+  if (primary.page != null && secondary.page != null) {
+    merged.page = Math.min(primary.page, secondary.page);
+  }
+
+  const aliasIds = new Set([...(primary.aliasIds ?? []), ...(secondary.aliasIds ?? [])]);
+  if (secondary.id && secondary.id !== primary.id) aliasIds.add(secondary.id);
+  aliasIds.delete(primary.id);
+  if (aliasIds.size) merged.aliasIds = Array.from(aliasIds).sort();
+
+  return merged;
+}
+
+function summarize(course) {
+  return {
+    source: course.source ?? null,
+    id: course.id ?? null,
+    title: course.title ?? null,
+    date: course.date ?? null,
+  };
+}
+
+/**
+ * Returns { courses, merges }. Courses keep their first position; merges list
+ * each collapsed pair as { reason: 'same-id' | 'similar-title', kept, merged }.
+ */
+export function dedupeCourses(courses) {
+  const kept = [];
+  const indexById = new Map();
+  const merges = [];
+  const idKey = (course) => (course.id ? `${course.source}|${course.id}` : null);
+
+  courses.forEach((course) => {
+    let index = indexById.get(idKey(course));
+    let reason = 'same-id';
+    if (index === undefined) {
+      index = kept.findIndex((candidate) => isSameCourse(candidate, course));
+      reason = 'similar-title';
+    }
+    if (index === -1) {
+      if (idKey(course)) indexById.set(idKey(course), kept.length);
+      kept.push(course);
+      return;
+    }
+
+    const [primary, secondary] = pickPrimary(kept[index], course);
+    kept[index] = mergeDuplicate(primary, secondary, reason);
+    if (idKey(course)) indexById.set(idKey(course), index);
+    merges.push({ reason, kept: summarize(primary), merged: summarize(secondary) });
+  });
+
+  return { courses: kept, merges };
+}
@@ -1,15 +1,20 @@
+import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { load } from 'cheerio';
-import iconv from 'iconv-lite';
-
-const BASE_URL = 'https://www.kaa.org.tw/news_class_list.php';
-const MAX_PAGES = 5;
-const WAIT_MS = 0;
-const DETAIL_WAIT_MS = 0;
-const DETAIL_CONCURRENCY = 10;
-const MAX_RETRIES = 3;
+import { getCourseId, isExpired } from '../lib/courses.js';
+import { buildCalendar } from '../lib/ics.js';
+import { buildAtomFeed } from './atomFeed.js';
+import { buildSearchIndex, formatSearchIndexStats } from './attachmentText.js';
+import { classifyCourse, describeCategories } from './categories.js';
+import { dedupeCourses } from './dedupe.js';
+import { checkScrapeHealth, formatHealthReport } from './healthCheck.js';
+import { notifyAfterScrape } from './lineNotifier.js';
+import { DEFAULT_OPTIONS, USAGE, resolveOptions } from './scraperOptions.js';
+import { describeSources, getSource } from './sources/index.js';
+import { kaa } from './sources/kaa.js';
+import { EMPTY_DETAIL_FIELDS } from './sources/shared.js';
+
 const HEADERS = {
   'User-Agent':
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127.0.0.0 Safari/537.36',
@@ -17,252 +22,197 @@ const HEADERS = {
 };
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-function cleanText(value) {
-  return (
-    value
-      ?.replace(/\u00a0/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim() ?? ''
-  );
-}
-
-function toAbsoluteUrl(url) {
-  if (!url) return null;
-  try {
-    return new URL(url, BASE_URL).href;
-  } catch {
-    return null;
-  }
-}
-
-function buildLink(label, url, fallbackLabel) {
-  const normalizedUrl = toAbsoluteUrl(url);
-  if (!normalizedUrl) {
-    return null;
-  }
 
-  const normalizedLabel = cleanText(label) || fallbackLabel;
+// the detail cache holds raw scrape state, so it lives in cacheDir rather than
+// next to the published files
+function getOutputPaths(dir, cacheDir) {
   return {
-    label: normalizedLabel,
-    url: normalizedUrl,
+    dir,
+    cacheDir,
+    archive: path.join(dir, 'archive.json'),
+    courses: path.join(dir, 'courses.json'),
+    changes: path.join(dir, 'changes.json'),
+    lineState: path.join(dir, 'line-notify.json'),
+    merges: path.join(dir, 'merges.json'),
+    detailCache: path.join(cacheDir, 'detail-cache.json'),
+    searchIndex: path.join(dir, 'search-index.json'),
+    ics: path.join(dir, 'courses.ics'),
+    atom: path.join(dir, 'courses.atom'),
   };
 }
+// bump when parseCourseDetail changes so cached details are parsed again
+const DETAIL_CACHE_VERSION = 4;
+// details checked more recently than this are reused without any request
+const DETAIL_CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+const CHANGES_RETENTION_DAYS = 30;
+const CHANGE_TRACKED_FIELDS = [
+  'title',
+  'date',
+  'time',
+  'startAt',
+  'endAt',
+  'checkInAt',
+  'registrationUrl',
+  'credits',
+  'attachments',
+  'links',
+  'venue',
+  'speakers',
+  'fee',
+  'capacity',
+  'organizer',
+  'registrationMarker',
+  'registrationOpens',
+  'registrationDeadline',
+];
 
-function parseCourses(html) {
-  const $ = load(html);
-  const rows = $('table tr').slice(1);
-  const courses = [];
-
-  rows.each((_, row) => {
-    const cells = $(row).find('td');
-    if (!cells.length) return;
-
-    const titleCell = $(cells[0]);
-    const title = cleanText(titleCell.text());
-    if (!title) return;
-
-    const dateText = cleanText($(cells[1]).text());
-    const timeText = cleanText($(cells[2]).text());
-
-    const detailLink = buildLink(
-      $(cells[3]).text(),
-      $(cells[3]).find('a').attr('href') ?? titleCell.find('a').attr('href'),
-      '課程資訊',
-    );
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-    // Try column 4 first, then scan all cells for registration links
-    let registerLink = buildLink(
-      $(cells[4]).text(),
-      $(cells[4]).find('a').attr('href'),
-      '線上報名',
-    );
+// the response body, or null once it passes `maxBytes`: a larger
+// Content-Length is refused before reading and a stream is cut off mid-way
+async function readBody(response, maxBytes) {
+  if (maxBytes == null) return Buffer.from(await response.arrayBuffer());
+  if (Number(response.headers?.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.body?.getReader) {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return buffer.length > maxBytes ? null : buffer;
+  }
 
-    // Fallback: search all cells for links containing apply/報名 patterns
-    if (!registerLink) {
-      cells.each((ci, cell) => {
-        if (registerLink) return;
-        $(cell).find('a').each((__, anchor) => {
-          if (registerLink) return;
-          const href = $(anchor).attr('href') || '';
-          const text = cleanText($(anchor).text());
-          if (href.includes('apply') || href.includes('signup') || text.includes('報名')) {
-            registerLink = buildLink(text, href, '線上報名');
-          }
-        });
-      });
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
     }
-
-    const extras = [];
-    $(cells[5])
-      .find('a')
-      .each((__, anchor) => {
-        const link = buildLink($(anchor).text(), $(anchor).attr('href'), '相關連結');
-        if (link) {
-          extras.push(link);
-        }
-      });
-
-    const seen = new Set();
-    const links = [detailLink, registerLink, ...extras].filter((link) => {
-      if (!link) {
-        return false;
-      }
-      if (seen.has(link.url)) {
-        return false;
-      }
-      seen.add(link.url);
-      return true;
-    });
-
-    courses.push({
-      title,
-      date: dateText || null,
-      deadline: dateText || null,
-      time: timeText || null,
-      links,
-      detailUrl: detailLink?.url ?? null,
-      registrationUrl: registerLink?.url ?? null,
-    });
-  });
-
-  return courses;
-}
-
-function parseDateValue(value) {
-  if (!value) return null;
-  const normalized = value.replace(/\//g, '-').trim();
-  const iso =
-    normalized.length === 10 ? `${normalized}T23:59:59+08:00` : normalized;
-  const timestamp = Date.parse(iso);
-  return Number.isNaN(timestamp) ? null : new Date(timestamp);
-}
-
-function isExpired(deadline) {
-  const date = parseDateValue(deadline);
-  if (!date) {
-    return false;
+    chunks.push(value);
   }
-  return date.getTime() < Date.now();
+  return Buffer.concat(chunks);
 }
 
-async function fetchCourseDetail(detailUrl) {
-  if (!detailUrl) return { credits: null, attachments: [] };
-
-  let buffer;
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+async function requestDetail(
+  detailUrl,
+  {
+    fetchImpl = fetch,
+    retries = DEFAULT_OPTIONS.retries,
+    cached = null,
+    // names the request in retry warnings; attachments reuse this helper
+    label = 'Detail',
+    // bodies past this many bytes resolve to { tooLarge: true } unread
+    maxBytes = null,
+  } = {},
+) {
+  const headers = { ...HEADERS };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(detailUrl, { headers: HEADERS });
+      const response = await fetchImpl(detailUrl, { headers });
+      if (cached && response.status === 304) {
+        return { notModified: true };
+      }
       if (!response.ok) {
         throw new Error(`HTTP ${response.status} ${response.statusText}`);
       }
-      buffer = Buffer.from(await response.arrayBuffer());
-      break;
+      const buffer = await readBody(response, maxBytes);
+      if (!buffer) return { notModified: false, tooLarge: true };
+      return {
+        notModified: false,
+        buffer,
+        contentType: response.headers?.get('content-type') ?? null,
+        etag: response.headers?.get('etag') ?? null,
+        lastModified: response.headers?.get('last-modified') ?? null,
+      };
     } catch (error) {
-      if (attempt === MAX_RETRIES) throw error;
+      if (attempt === retries) throw error;
       const delay = 1000 * 2 ** (attempt - 1);
-      console.warn(`Detail attempt ${attempt}/${MAX_RETRIES}: ${error.message}. Retrying...`);
+      console.warn(`${label} attempt ${attempt}/${retries}: ${error.message}. Retrying...`);
       await sleep(delay);
     }
   }
-  let html = buffer.toString('utf8');
+}
 
-  // handle potential Big5 encoding
-  if (!html.includes('<html')) {
-    html = iconv.decode(buffer, 'big5');
-  }
+export async function fetchCourseDetail(
+  detailUrl,
+  { source = kaa, fetchImpl = fetch, retries, date } = {},
+) {
+  if (!detailUrl) return { credits: null, attachments: [], ...EMPTY_DETAIL_FIELDS };
 
-  const $ = load(html);
+  const { buffer, contentType } = await requestDetail(detailUrl, { fetchImpl, retries });
+  return source.parseCourseDetail(source.decodeHtml(buffer, contentType), { date });
+}
 
-  // quick credit parsing
-  const creditContainer = $('td')
-    .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim())
-    .get()
-    .find((text) => /\u7e3d\s*\u5206|\u7e3d\s*\u5b78\u5206/.test(text));
+function hashContent(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
 
-  let credits = null;
-  if (creditContainer) {
-    const match = creditContainer.match(
-      /\u7e3d(?:\u5b78)?\u5206[:\uFF1A\s]*([0-9]+(?:\.[0-9]+)?)/,
-    );
-    if (match) {
-      credits = Number.parseFloat(match[1]);
-    }
+/**
+ * Refreshes one detail-cache entry. Sends a conditional request when the entry
+ * has validators and skips parsing when the body hash is unchanged. Resolves to
+ * { status, entry } with status 'not-modified', 'unchanged' or 'updated'.
+ */
+export async function fetchCourseDetailCached(
+  detailUrl,
+  cached,
+  { source = kaa, fetchImpl = fetch, retries, now = new Date(), date } = {},
+) {
+  const usable = cached?.url === detailUrl ? cached : null;
+  const checkedAt = now.toISOString();
+  const response = await requestDetail(detailUrl, { fetchImpl, retries, cached: usable });
+
+  if (response.notModified) {
+    return { status: 'not-modified', entry: { ...usable, checkedAt } };
   }
 
-  // fast attachment detection (PDFs + download.php) without extra probing
-  const attachments = [];
-  const fileExtPattern = /\.pdf(?:[?#].*)?$/i;
-  const downloadPhpPattern = /download\.php\?b=/i;
-  const seen = new Set();
-
-  const pushAttachment = (url, label) => {
-    if (!url) return;
-    if (seen.has(url)) return;
-    seen.add(url);
-    attachments.push({ label: label || path.basename(url), url });
-  };
+  const validators = { etag: response.etag, lastModified: response.lastModified };
+  const hash = hashContent(response.buffer);
+  if (usable?.hash === hash) {
+    return { status: 'unchanged', entry: { ...usable, ...validators, checkedAt } };
+  }
 
-  // primary pass: anchors with explicit file extensions or obvious download hints
-  $('a').each((_, anchor) => {
-    const $a = $(anchor);
-    const href = $a.attr('href');
-    const text = cleanText($a.text());
-
-    // try href first
-    if (href) {
-      const abs = toAbsoluteUrl(href);
-      if (abs && (fileExtPattern.test(abs) || downloadPhpPattern.test(abs))) {
-        pushAttachment(abs, text);
-        return;
-      }
-    }
+  const detail = source.parseCourseDetail(
+    source.decodeHtml(response.buffer, response.contentType),
+    { date },
+  );
+  return {
+    status: 'updated',
+    entry: { url: detailUrl, ...validators, hash, checkedAt, detail },
+  };
+}
 
-    // fallback: check onclick handlers that may open a file
-    const onclick = $a.attr('onclick') || $a.closest('[onclick]').attr('onclick');
-    if (onclick) {
-      const mHttp = onclick.match(/https?:\/\/[^'")\s]+\.pdf(?:[?#][^'")\s]*)?/i);
-      const mQuoted = onclick.match(/['"]([^'"\]]+\.pdf(?:[?#].*)?)['"]/i);
-      const urlCandidate = mHttp ? mHttp[0] : mQuoted ? mQuoted[1] : null;
-      if (urlCandidate) {
-        const abs2 = toAbsoluteUrl(urlCandidate);
-        if (abs2) {
-          pushAttachment(abs2, text);
-        }
-      }
-    }
+function applyDetail(course, detail) {
+  const courseCopy = { ...course };
+  courseCopy.credits = detail.credits ?? null;
+  courseCopy.attachments = detail.attachments ?? [];
+  Object.keys(EMPTY_DETAIL_FIELDS).forEach((field) => {
+    courseCopy[field] = detail[field] ?? EMPTY_DETAIL_FIELDS[field];
   });
-
-  // secondary pass: labeled blocks like "檔案下載"/"附件" and their anchors
-  $('*')
-    .filter((_, el) => /檔案下載|附件|下載/.test(cleanText($(el).text())))
-    .each((_, el) => {
-      const $el = $(el);
-      // find anchors inside the same block or immediate next sibling(s)
-      const localAnchors = $el.find('a').toArray();
-      if (!localAnchors.length) {
-        const nextAnchors = $el.next().find('a').toArray();
-        localAnchors.push(...nextAnchors);
-      }
-      localAnchors.forEach((anchor) => {
-        const href = $(anchor).attr('href');
-        if (!href) return;
-        const abs = toAbsoluteUrl(href);
-        if (!abs) return;
-        if (fileExtPattern.test(abs) || downloadPhpPattern.test(abs)) {
-          pushAttachment(abs, cleanText($(anchor).text()));
-        }
-      });
-    });
-
-  return { credits, attachments };
+  // the list row may already say "已額滿" when the detail page does not
+  courseCopy.registrationMarker = detail.registrationMarker ?? course.registrationMarker ?? null;
+  return courseCopy;
 }
 
-async function enrichCoursesWithCredits(courses) {
-  if (!courses.length) return [];
+async function enrichCoursesWithCredits(
+  courses,
+  detailCache = {},
+  {
+    now = new Date(),
+    fetchImpl = fetch,
+    concurrency = DEFAULT_OPTIONS.concurrency,
+    retries = DEFAULT_OPTIONS.retries,
+  } = {},
+) {
+  const stats = { fresh: 0, notModified: 0, unchanged: 0, updated: 0, failed: 0 };
+  const nextCache = {};
+  if (!courses.length) return { courses: [], cache: nextCache, stats };
 
   const results = new Array(courses.length);
   let cursor = 0;
@@ -276,66 +226,179 @@ async function enrichCoursesWithCredits(courses) {
       }
 
       const course = courses[currentIndex];
-      const courseCopy = { ...course, credits: null, attachments: [] };
-      const shouldFetchDetail = course.detailUrl && !isExpired(course.deadline);
-
-      if (shouldFetchDetail) {
-        try {
-          const detail = await fetchCourseDetail(course.detailUrl);
-          courseCopy.credits = detail.credits ?? null;
-          courseCopy.attachments = detail.attachments ?? [];
-        } catch (error) {
-          console.warn(`Failed to fetch detail for ${course.title}: ${error.message}`);
-          courseCopy.attachments = [];
-        }
+      const courseCopy = {
+        ...course,
+        credits: null,
+        attachments: [],
+        ...EMPTY_DETAIL_FIELDS,
+      };
+      const shouldFetchDetail = course.detailUrl && !isExpired(course.deadline, { now });
+      if (!shouldFetchDetail) {
+        results[currentIndex] = courseCopy;
+        continue;
+      }
 
-        if (DETAIL_WAIT_MS > 0) {
-          await sleep(DETAIL_WAIT_MS);
-        }
-      } else {
-        courseCopy.attachments = [];
+      const cacheKey = course.id ?? course.detailUrl;
+      const cached = detailCache[cacheKey];
+      const age = now.getTime() - Date.parse(cached?.checkedAt ?? '');
+      if (cached?.url === course.detailUrl && age < DETAIL_CACHE_MAX_AGE_MS) {
+        stats.fresh += 1;
+        nextCache[cacheKey] = cached;
+        results[currentIndex] = applyDetail(courseCopy, cached.detail);
+        continue;
       }
 
-      results[currentIndex] = courseCopy;
+      try {
+        const { status, entry } = await fetchCourseDetailCached(course.detailUrl, cached, {
+          source: getSource(course.source),
+          fetchImpl,
+          retries,
+          now,
+          date: course.date,
+        });
+        stats[status === 'not-modified' ? 'notModified' : status] += 1;
+        nextCache[cacheKey] = entry;
+        results[currentIndex] = applyDetail(courseCopy, entry.detail);
+      } catch (error) {
+        console.warn(`Failed to fetch detail for ${course.title}: ${error.message}`);
+        stats.failed += 1;
+        // a flaky request should not blank out details we already know
+        if (cached?.url === course.detailUrl) {
+          nextCache[cacheKey] = cached;
+          results[currentIndex] = applyDetail(courseCopy, cached.detail);
+        } else {
+          results[currentIndex] = courseCopy;
+        }
+      }
     }
   }
 
-  const workerCount = Math.min(DETAIL_CONCURRENCY, courses.length);
+  const workerCount = Math.min(concurrency, courses.length);
   await Promise.all(Array.from({ length: workerCount }, () => worker()));
-  return results;
+  return { courses: results, cache: nextCache, stats };
 }
 
-async function fetchPage(page) {
-  const url = new URL(BASE_URL);
-  if (page > 1) {
-    url.searchParams.set('b', String(page));
+function formatDetailStats(stats) {
+  const saved = stats.fresh + stats.notModified;
+  const requested = stats.notModified + stats.unchanged + stats.updated + stats.failed;
+  return (
+    `Detail pages: ${requested} requested, ${saved} downloads saved ` +
+    `(${stats.fresh} cached, ${stats.notModified} not modified), ` +
+    `${stats.unchanged} unchanged, ${stats.updated} parsed, ${stats.failed} failed`
+  );
+}
+
+async function readDetailCache(paths) {
+  try {
+    const payload = JSON.parse(await fs.readFile(paths.detailCache, 'utf8'));
+    if (payload.version !== DETAIL_CACHE_VERSION) return {};
+    return payload.entries && typeof payload.entries === 'object' ? payload.entries : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read detail cache, starting a new one: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+async function writeDetailCache(paths, entries, updatedAt) {
+  await fs.mkdir(paths.cacheDir, { recursive: true });
+  const payload = { version: DETAIL_CACHE_VERSION, updatedAt, entries };
+  await fs.writeFile(paths.detailCache, JSON.stringify(payload, null, 2), 'utf8');
+  return paths.detailCache;
+}
+
+async function readSearchIndex(paths) {
+  try {
+    return JSON.parse(await fs.readFile(paths.searchIndex, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read search index, starting a new one: ${error.message}`);
+    }
+    return null;
   }
+}
+
+async function writeSearchIndex(paths, index) {
+  await fs.mkdir(paths.dir, { recursive: true });
+  await fs.writeFile(paths.searchIndex, JSON.stringify(index, null, 2), 'utf8');
+  return paths.searchIndex;
+}
+
+// spaces requests from every worker so the site sees at most `perSecond` of them
+function withRateLimit(fetchImpl, perSecond) {
+  if (!perSecond) return fetchImpl;
+  const interval = 1000 / perSecond;
+  let nextSlot = 0;
+  return async (url, init) => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+    return fetchImpl(url, init);
+  };
+}
+
+// answers requests from saved pages in `dir`, for runs without the live site
+async function readFixtureAliases(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, 'fixtures.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Unable to read ${path.join(dir, 'fixtures.json')}: ${error.message}`);
+  }
+}
+
+// fixtures.json maps the names sources ask for to the files in `dir`, so test
+// pages named after what they cover (detail-utf8.html) can be replayed
+function createFixtureFetch(dir, sources) {
+  const aliases = readFixtureAliases(dir);
+  return async (url) => {
+    const name = sources.map((source) => source.getFixtureName(String(url))).find(Boolean);
+    const file = name ? (await aliases)[name] ?? name : null;
+    try {
+      const body = await fs.readFile(path.join(dir, file ?? ''));
+      return new Response(body, { status: 200 });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+      return new Response(null, { status: 404, statusText: `No fixture for ${url}` });
+    }
+  };
+}
 
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+async function fetchPage(source, page, { fetchImpl = fetch, retries = DEFAULT_OPTIONS.retries } = {}) {
+  const url = source.getListPageUrl(page);
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(url, { headers: HEADERS });
+      const response = await fetchImpl(url, { headers: HEADERS });
       if (!response.ok) {
         throw new Error(`HTTP ${response.status} ${response.statusText}`);
       }
       const buffer = Buffer.from(await response.arrayBuffer());
-      return buffer.toString('utf8');
+      return source.decodeHtml(buffer, response.headers?.get('content-type'));
     } catch (error) {
-      if (attempt === MAX_RETRIES) {
-        throw new Error(`Failed to fetch page ${page} after ${MAX_RETRIES} attempts: ${error.message}`);
+      if (attempt === retries) {
+        throw new Error(
+          `Failed to fetch ${source.id} page ${page} after ${retries} attempts: ${error.message}`,
+        );
       }
       const delay = 1000 * 2 ** (attempt - 1);
-      console.warn(`Attempt ${attempt}/${MAX_RETRIES} for page ${page}: ${error.message}. Retrying in ${delay}ms...`);
+      console.warn(
+        `Attempt ${attempt}/${retries} for ${source.id} page ${page}: ${error.message}. ` +
+          `Retrying in ${delay}ms...`,
+      );
       await sleep(delay);
     }
   }
 }
 
-async function scrapeCourses() {
+async function scrapeCourses(source, maxPages, request) {
   const courses = [];
 
-  for (let page = 1; page <= MAX_PAGES; page += 1) {
-    const html = await fetchPage(page);
-    const pageCourses = parseCourses(html);
+  for (let page = 1; page <= maxPages; page += 1) {
+    const html = await fetchPage(source, page, request);
+    const pageCourses = source.parseCourses(html);
 
     if (pageCourses.length === 0) {
       break;
@@ -344,54 +407,443 @@ async function scrapeCourses() {
     courses.push(
       ...pageCourses.map((course) => ({
         ...course,
+        source: source.id,
         page,
       })),
     );
 
-    console.log(`Page ${page}: ${pageCourses.length} courses`);
+    console.log(`${source.id} page ${page}: ${pageCourses.length} courses`);
 
     if (pageCourses.length < 10) {
       break;
     }
-
-    if (WAIT_MS > 0) {
-      await sleep(WAIT_MS);
-    }
   }
 
   return courses;
 }
 
-async function writeOutput(courses) {
-  const outDir = path.resolve(__dirname, '../data');
-  await fs.mkdir(outDir, { recursive: true });
+// files written before courses carried an id still have the detail URL, so
+// they key by the same `b=` id instead of looking like different courses
+function getArchiveKey(course) {
+  return getCourseId(course) ?? `${course.date ?? ''}|${course.title ?? ''}`;
+}
+
+function isEmptyValue(value) {
+  return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+// expired courses skip the detail fetch, so a fresh null must not wipe out
+// credits or attachments captured while the course was still upcoming
+function mergeCourseRecord(previous, next) {
+  if (!previous) return { ...next };
+  const merged = { ...previous, ...next };
+  Object.keys(next).forEach((key) => {
+    if (isEmptyValue(next[key]) && !isEmptyValue(previous[key])) {
+      merged[key] = previous[key];
+    }
+  });
+  return merged;
+}
+
+async function readArchive(paths) {
+  try {
+    const raw = await fs.readFile(paths.archive, 'utf8');
+    const payload = JSON.parse(raw);
+    // archives from before source adapters only held KAA courses
+    const legacyBackfill = payload.backfilledAt ? { [kaa.id]: payload.backfilledAt } : {};
+    return {
+      backfilled: payload.backfilled ?? legacyBackfill,
+      courses: Array.isArray(payload.courses) ? payload.courses : [],
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read archive, starting a new one: ${error.message}`);
+    }
+    return { backfilled: {}, courses: [] };
+  }
+}
+
+function mergeIntoArchive(archive, courses, scrapedAt) {
+  const records = new Map(
+    archive.courses.map((course) => [getArchiveKey(course), course]),
+  );
+
+  courses.forEach((course) => {
+    const key = getArchiveKey(course);
+    const previous = records.get(key);
+    let firstSeen = previous?.firstSeen ?? scrapedAt;
+    // re-postings folded into this course replace their own archive records
+    (course.aliasIds ?? []).forEach((aliasId) => {
+      const aliasKey = getArchiveKey({ ...course, id: aliasId });
+      const alias = records.get(aliasKey);
+      if (!alias || aliasKey === key) return;
+      records.delete(aliasKey);
+      if (alias.firstSeen && alias.firstSeen < firstSeen) firstSeen = alias.firstSeen;
+    });
+    records.set(key, {
+      ...mergeCourseRecord(previous, course),
+      firstSeen,
+      lastSeen: scrapedAt,
+    });
+  });
+
+  return Array.from(records.values()).sort((a, b) =>
+    (b.date ?? '').localeCompare(a.date ?? ''),
+  );
+}
 
-  const outPath = path.join(outDir, 'courses.json');
+async function writeArchive(paths, courses, { sources, backfilled, updatedAt }) {
+  await fs.mkdir(paths.dir, { recursive: true });
   const payload = {
-    source: BASE_URL,
-    updatedAt: process.env.SCRAPED_AT || new Date().toISOString(),
+    sources,
+    updatedAt,
+    backfilled,
+    total: courses.length,
+    courses,
+  };
+  await fs.writeFile(paths.archive, JSON.stringify(payload, null, 2), 'utf8');
+  return paths.archive;
+}
+
+async function readPreviousCourses(paths) {
+  try {
+    const payload = JSON.parse(await fs.readFile(paths.courses, 'utf8'));
+    return Array.isArray(payload.courses) ? payload.courses : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read previous courses: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+function comparableValue(field, value) {
+  if (value == null || value === '') return null;
+  if (field === 'links' || field === 'attachments') {
+    return value.map((item) => item.url).sort();
+  }
+  return value;
+}
+
+function summarizeCourse(course) {
+  return { id: getCourseId(course), title: course.title ?? null, date: course.date ?? null };
+}
+
+export function diffCourses(previous, current) {
+  const previousByKey = new Map(previous.map((course) => [getArchiveKey(course), course]));
+  const currentKeys = new Set();
+  const added = [];
+  const modified = [];
+
+  current.forEach((course) => {
+    const key = getArchiveKey(course);
+    currentKeys.add(key);
+    const before = previousByKey.get(key);
+    if (!before) {
+      added.push(summarizeCourse(course));
+      return;
+    }
+
+    const changes = {};
+    CHANGE_TRACKED_FIELDS.forEach((field) => {
+      // fields the previous file predates are not changes
+      if (!(field in before)) return;
+      const from = comparableValue(field, before[field]);
+      const to = comparableValue(field, course[field]);
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from: before[field] ?? null, to: course[field] ?? null };
+      }
+    });
+    if (Object.keys(changes).length) {
+      modified.push({ ...summarizeCourse(course), changes });
+    }
+  });
+
+  const removed = previous
+    .filter((course) => !currentKeys.has(getArchiveKey(course)))
+    .map(summarizeCourse);
+
+  return { added, removed, modified };
+}
+
+function formatMerge({ reason, kept, merged }) {
+  const describe = (course) => `[${course.id ?? '-'}] ${course.title}`;
+  return `Merged ${describe(merged)} into ${describe(kept)} (${reason}, ${kept.date ?? 'no date'})`;
+}
+
+// one entry per merged pair, so hourly runs refresh lastSeen instead of piling up
+async function writeMergeLog(paths, merges, scrapedAt) {
+  let entries = [];
+  try {
+    const payload = JSON.parse(await fs.readFile(paths.merges, 'utf8'));
+    entries = Array.isArray(payload.entries) ? payload.entries : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read merge log, starting a new one: ${error.message}`);
+    }
+  }
+
+  const keyOf = ({ reason, kept, merged }) =>
+    [reason, kept.source, kept.id ?? kept.title, merged.id ?? merged.title].join('|');
+  const byKey = new Map(entries.map((entry) => [keyOf(entry), entry]));
+  merges.forEach((merge) => {
+    const previous = byKey.get(keyOf(merge));
+    byKey.set(keyOf(merge), {
+      ...merge,
+      firstSeen: previous?.firstSeen ?? scrapedAt,
+      lastSeen: scrapedAt,
+    });
+  });
+
+  const cutoff = Date.parse(scrapedAt) - CHANGES_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = Array.from(byKey.values())
+    .filter((entry) => !(Date.parse(entry.lastSeen) < cutoff))
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+  const payload = { updatedAt: scrapedAt, entries: kept };
+  await fs.mkdir(paths.dir, { recursive: true });
+  await fs.writeFile(paths.merges, JSON.stringify(payload, null, 2), 'utf8');
+  return paths.merges;
+}
+
+function formatDiff(diff) {
+  const describe = (course) => `[${course.id ?? '-'}] ${course.date ?? '----------'} ${course.title}`;
+  const lines = [
+    ...diff.added.map((course) => `+ ${describe(course)}`),
+    ...diff.removed.map((course) => `- ${describe(course)}`),
+  ];
+  diff.modified.forEach((course) => {
+    lines.push(`~ ${describe(course)}`);
+    Object.entries(course.changes).forEach(([field, { from, to }]) => {
+      lines.push(`    ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    });
+  });
+  return lines.length ? lines.join('\n') : 'No changes';
+}
+
+async function writeChanges(paths, diff, scrapedAt) {
+  let entries = [];
+  try {
+    const payload = JSON.parse(await fs.readFile(paths.changes, 'utf8'));
+    entries = Array.isArray(payload.entries) ? payload.entries : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read change log, starting a new one: ${error.message}`);
+    }
+  }
+
+  const hasChanges = diff.added.length || diff.removed.length || diff.modified.length;
+  if (hasChanges) {
+    entries.unshift({ at: scrapedAt, ...diff });
+  }
+
+  const cutoff = Date.parse(scrapedAt) - CHANGES_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  entries = entries.filter((entry) => !(Date.parse(entry.at) < cutoff));
+
+  const payload = { updatedAt: scrapedAt, entries };
+  await fs.mkdir(paths.dir, { recursive: true });
+  await fs.writeFile(paths.changes, JSON.stringify(payload, null, 2), 'utf8');
+  return paths.changes;
+}
+
+function buildPayload(courses, { sources, updatedAt }) {
+  return {
+    sources,
+    categories: describeCategories(),
+    updatedAt,
     total: courses.length,
     courses,
   };
+}
+
+async function writeOutput(paths, payload) {
+  await fs.mkdir(paths.dir, { recursive: true });
+
+  const { courses, updatedAt } = payload;
+  await fs.writeFile(paths.courses, JSON.stringify(payload, null, 2), 'utf8');
+  await fs.writeFile(paths.ics, buildCalendar(courses, { dtstamp: updatedAt }), 'utf8');
+  await fs.writeFile(paths.atom, buildAtomFeed(courses, { updatedAt }), 'utf8');
+  return paths.courses;
+}
 
-  await fs.writeFile(outPath, JSON.stringify(payload, null, 2), 'utf8');
-  return outPath;
+async function printOnlyDetail(id, source, request) {
+  const detailUrl = source.getDetailUrl(id);
+  const detail = await fetchCourseDetail(detailUrl, { ...request, source });
+  console.log(JSON.stringify({ id, source: source.id, detailUrl, ...detail }, null, 2));
 }
 
-async function main() {
+async function main(argv = process.argv.slice(2)) {
   try {
-    const courses = await scrapeCourses();
+    const options = await resolveOptions(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    const sources = options.sources.map(getSource);
+    const baseFetch = options.fromFixtures
+      ? createFixtureFetch(options.fromFixtures, sources)
+      : fetch;
+    const request = {
+      fetchImpl: withRateLimit(baseFetch, options.rateLimit),
+      // a missing fixture stays missing, retrying only waits
+      retries: options.fromFixtures ? 1 : options.retries,
+    };
+    if (options.onlyDetail) {
+      await printOnlyDetail(options.onlyDetail, sources[0], request);
+      return;
+    }
+
+    const paths = getOutputPaths(options.out, options.cacheDir);
+    const scrapedAt = process.env.SCRAPED_AT || new Date().toISOString();
+    const archive = await readArchive(paths);
+    const courses = [];
+    for (const source of sources) {
+      const isBackfill = !archive.backfilled[source.id];
+      if (isBackfill) {
+        console.log(
+          `No ${source.id} archive backfill yet, scanning up to ${options.backfillPages} pages`,
+        );
+      }
+      const maxPages = isBackfill ? Math.max(options.backfillPages, options.pages) : options.pages;
+      courses.push(...(await scrapeCourses(source, maxPages, request)));
+    }
     if (!courses.length) {
       throw new Error('未取得任何課程資料，請稍後再試。');
     }
 
-    const enriched = await enrichCoursesWithCredits(courses);
-    const outPath = await writeOutput(enriched);
-    console.log(`Saved ${courses.length} courses to ${outPath}`);
+    const previousCourses = await readPreviousCourses(paths);
+    const detailCache = await readDetailCache(paths);
+    const {
+      courses: enriched,
+      cache: nextDetailCache,
+      stats: detailStats,
+    } = await enrichCoursesWithCredits(courses, detailCache, {
+      ...request,
+      concurrency: options.concurrency,
+      now: new Date(scrapedAt),
+    });
+    console.log(formatDetailStats(detailStats));
+
+    const { courses: deduped, merges } = dedupeCourses(enriched);
+    merges.forEach((merge) => console.log(formatMerge(merge)));
+
+    // classified on every run so older archive records pick up new rules
+    const archived = mergeIntoArchive(archive, deduped, scrapedAt).map((course) => ({
+      ...course,
+      categories: classifyCourse(course),
+    }));
+    const archiveByKey = new Map(archived.map((course) => [getArchiveKey(course), course]));
+
+    // courses.json stays limited to the regular window; older pages live in the archive.
+    // Archive records keep details an expired course no longer re-fetches, so
+    // they do not show up as spurious changes.
+    const current = deduped
+      .filter((course) => course.page <= options.pages)
+      .map((course) => ({ ...archiveByKey.get(getArchiveKey(course)), page: course.page }));
+
+    const diff = diffCourses(previousCourses, current);
+    const changedKeys = new Set([...diff.added, ...diff.modified].map(getArchiveKey));
+    const stampChange = (course) =>
+      changedKeys.has(getArchiveKey(course))
+        ? { ...course, lastChangedAt: scrapedAt }
+        : course;
+
+    // nothing is written until the new payload passes, so a broken scrape
+    // leaves the previous data in place
+    const sourceList = describeSources(options.sources);
+    const payload = buildPayload(current.map(stampChange), {
+      sources: sourceList,
+      updatedAt: scrapedAt,
+    });
+    const health = checkScrapeHealth({ payload, previous: previousCourses });
+    const report = formatHealthReport(health);
+
+    if (options.dryRun) {
+      console.log(formatDiff(diff));
+      if (report) console.warn(report);
+      console.log(`Dry run: nothing written to ${paths.dir}`);
+      if (!health.ok) process.exit(1);
+      return;
+    }
+
+    if (!health.ok) {
+      console.error(report);
+      process.exit(1);
+    }
+    if (report) console.warn(report);
+
+    const outPath = await writeOutput(paths, payload);
+    console.log(`Saved ${current.length} courses to ${outPath}`);
+
+    const changesPath = await writeChanges(paths, diff, scrapedAt);
+    console.log(
+      `Changes: ${diff.added.length} added, ${diff.removed.length} removed, ` +
+        `${diff.modified.length} modified (${changesPath})`,
+    );
+
+    const archivePath = await writeArchive(paths, archived.map(stampChange), {
+      sources: sourceList,
+      backfilled: {
+        ...archive.backfilled,
+        ...Object.fromEntries(
+          sources.map((source) => [source.id, archive.backfilled[source.id] ?? scrapedAt]),
+        ),
+      },
+      updatedAt: scrapedAt,
+    });
+    console.log(`Archived ${archived.length} courses to ${archivePath}`);
+
+    await writeDetailCache(paths, nextDetailCache, scrapedAt);
+
+    const { index: searchIndex, stats: searchStats } = await buildSearchIndex(
+      current,
+      await readSearchIndex(paths),
+      {
+        download: (url, { maxBytes }) =>
+          requestDetail(url, { ...request, label: 'Attachment', maxBytes }),
+        concurrency: options.concurrency,
+        now: new Date(scrapedAt),
+      },
+    );
+    console.log(formatSearchIndexStats(searchStats));
+    await writeSearchIndex(paths, searchIndex);
+    if (merges.length) {
+      console.log(`Logged ${merges.length} merges to ${await writeMergeLog(paths, merges, scrapedAt)}`);
+    }
+
+    // without a previous file every course counts as added; do not flood the group
+    const addedKeys = new Set(diff.added.map(getArchiveKey));
+    const added = previousCourses.length
+      ? current.filter((course) => addedKeys.has(getArchiveKey(course)))
+      : [];
+    if (options.fromFixtures) {
+      console.log('LINE: skipped for a fixture run');
+      return;
+    }
+    try {
+      const result = await notifyAfterScrape({
+        added,
+        courses: current,
+        now: new Date(scrapedAt),
+        statePath: paths.lineState,
+      });
+      if (!result.skipped) {
+        console.log(`LINE: pushed ${result.added} new and ${result.reminders} reminder courses`);
+      }
+    } catch (error) {
+      console.warn(`LINE notification failed: ${error.message}`);
+    }
   } catch (error) {
-    console.error(error);
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(error);
+    }
     process.exit(1);
   }
 }
 
-main();
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main();
+}
@@ -0,0 +1,127 @@
+// Guards the published courses.json: the payload must match
+// schema/courses.schema.json and must not look like a broken scrape
+// compared with the previous run. Set ALLOW_SCRAPE_ANOMALIES=1 to publish
+// a run that trips the anomaly thresholds on purpose.
+import { readFileSync } from 'node:fs';
+import Ajv from 'ajv';
+import { isExpired } from '../lib/courses.js';
+
+const SCHEMA_URL = new URL('../schema/courses.schema.json', import.meta.url);
+
+export const HEALTH_THRESHOLDS = {
+  // fail when the course count falls below this share of the previous run
+  minCountRatio: 0.5,
+  // fail when a parse rate falls below this share of its previous value...
+  minRateRatio: 0.5,
+  // ...but only for rates that were healthy to begin with
+  baselineRate: 0.5,
+};
+
+const PARSE_RATES = [
+  {
+    key: 'time',
+    label: '上課時間',
+    matches: (course) => Boolean(course.time),
+  },
+  {
+    key: 'detailUrl',
+    label: '課程資訊連結',
+    matches: (course) => Boolean(course.detailUrl),
+  },
+  {
+    key: 'credits',
+    label: '課程總分',
+    // details are only fetched for upcoming courses with a detail page
+    applies: (course) => Boolean(course.detailUrl) && !isExpired(course.deadline),
+    matches: (course) => course.credits != null,
+  },
+];
+
+let validateCoursesPayload = null;
+
+function getValidator() {
+  if (!validateCoursesPayload) {
+    const schema = JSON.parse(readFileSync(SCHEMA_URL, 'utf8'));
+    validateCoursesPayload = new Ajv({ allErrors: true }).compile(schema);
+  }
+  return validateCoursesPayload;
+}
+
+function describeSchemaError(error, payload) {
+  const pointer = error.instancePath || '/';
+  const courseMatch = pointer.match(/^\/courses\/(\d+)/);
+  const course = courseMatch ? payload.courses?.[Number(courseMatch[1])] : null;
+  const where = course?.title ? `${pointer} (${course.title})` : pointer;
+  return `${where} ${error.message}`;
+}
+
+export function validatePayload(payload) {
+  const validate = getValidator();
+  if (validate(payload)) return [];
+  return validate.errors.map((error) => describeSchemaError(error, payload));
+}
+
+function measureRate(courses, { applies = () => true, matches }) {
+  const eligible = courses.filter(applies);
+  if (!eligible.length) return null;
+  return eligible.filter(matches).length / eligible.length;
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+export function findAnomalies(previous, current, thresholds = HEALTH_THRESHOLDS) {
+  // the first run has nothing to compare against
+  if (!previous.length) return [];
+
+  const anomalies = [];
+  if (current.length < previous.length * thresholds.minCountRatio) {
+    anomalies.push(`課程數量由 ${previous.length} 筆降為 ${current.length} 筆`);
+  }
+
+  PARSE_RATES.forEach((rule) => {
+    const before = measureRate(previous, rule);
+    const after = measureRate(current, rule);
+    if (before == null || after == null || before < thresholds.baselineRate) return;
+    if (after < before * thresholds.minRateRatio) {
+      anomalies.push(
+        `${rule.label}解析率由 ${formatPercent(before)} 降為 ${formatPercent(after)}`,
+      );
+    }
+  });
+
+  return anomalies;
+}
+
+export function checkScrapeHealth({ payload, previous, env = process.env }) {
+  const schemaErrors = validatePayload(payload);
+  const anomalies = findAnomalies(previous, payload.courses ?? []);
+  const allowAnomalies = env.ALLOW_SCRAPE_ANOMALIES === '1';
+  return {
+    ok: !schemaErrors.length && (allowAnomalies || !anomalies.length),
+    schemaErrors,
+    anomalies,
+    allowAnomalies,
+  };
+}
+
+export function formatHealthReport({ schemaErrors, anomalies, allowAnomalies }) {
+  const lines = [];
+  if (schemaErrors.length) {
+    lines.push(`courses.json 不符合 schema（${schemaErrors.length} 項）：`);
+    schemaErrors.forEach((message) => lines.push(`  - ${message}`));
+  }
+  if (anomalies.length) {
+    lines.push(
+      allowAnomalies
+        ? '偵測到異常，但 ALLOW_SCRAPE_ANOMALIES=1，仍寫入資料：'
+        : '偵測到異常，保留上一版資料：',
+    );
+    anomalies.forEach((message) => lines.push(`  - ${message}`));
+    if (!allowAnomalies) {
+      lines.push('確認網站改版後的結果正確，可設定 ALLOW_SCRAPE_ANOMALIES=1 重新執行。');
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,204 @@
+// Pushes LINE Flex Messages for newly posted courses and a daily
+// "明天開課" reminder. Configured through environment variables:
+//   LINE_CHANNEL_ACCESS_TOKEN  channel access token (required to send)
+//   LINE_TO                    group, room or user ID that receives pushes
+//   LINE_API_BASE              API origin, override to point at a mock server
+import fs from 'node:fs/promises';
+import { addDays, getCourseDay } from '../lib/calendar.js';
+import { formatCredits, formatTaipeiDate, hasCredits } from '../lib/courses.js';
+
+const DEFAULT_API_BASE = 'https://api.line.me';
+const PUSH_PATH = '/v2/bot/message/push';
+const MAX_BUBBLES_PER_CAROUSEL = 12;
+const MAX_MESSAGES_PER_PUSH = 5;
+const MAX_ALT_TEXT_LENGTH = 400;
+const REMINDER_HOUR = 9;
+const BRAND_COLOR = '#06C755';
+
+const taipeiHourFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Asia/Taipei',
+  hour: '2-digit',
+  hour12: false,
+});
+
+export function getLineConfig(env = process.env) {
+  return {
+    token: env.LINE_CHANNEL_ACCESS_TOKEN || null,
+    to: env.LINE_TO || null,
+    apiBase: (env.LINE_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, ''),
+  };
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function buildInfoRow(label, value) {
+  return {
+    type: 'box',
+    layout: 'baseline',
+    spacing: 'sm',
+    contents: [
+      { type: 'text', text: label, color: '#8c8c8c', size: 'sm', flex: 2 },
+      { type: 'text', text: value || '尚未提供', size: 'sm', color: '#111111', wrap: true, flex: 5 },
+    ],
+  };
+}
+
+function buildUriButton(label, uri, style) {
+  const button = {
+    type: 'button',
+    style,
+    height: 'sm',
+    action: { type: 'uri', label, uri },
+  };
+  if (style === 'primary') button.color = BRAND_COLOR;
+  return button;
+}
+
+export function buildCourseBubble(course) {
+  const rows = [
+    buildInfoRow('日期', course.date),
+    buildInfoRow('時間', course.time),
+    buildInfoRow('學分', hasCredits(course) ? formatCredits(course.credits) : '無積分'),
+  ];
+  if (course.venue) rows.push(buildInfoRow('地點', course.venue));
+
+  const buttons = [];
+  if (course.registrationUrl) {
+    buttons.push(buildUriButton('線上報名', course.registrationUrl, 'primary'));
+  }
+  if (course.detailUrl) {
+    buttons.push(buildUriButton('課程資訊', course.detailUrl, 'secondary'));
+  }
+
+  const bubble = {
+    type: 'bubble',
+    size: 'kilo',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'md',
+      contents: [
+        {
+          type: 'text',
+          text: course.title || '高雄建築師公會課程',
+          weight: 'bold',
+          size: 'md',
+          wrap: true,
+        },
+        { type: 'box', layout: 'vertical', spacing: 'sm', contents: rows },
+      ],
+    },
+  };
+
+  if (buttons.length) {
+    bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons };
+  }
+  return bubble;
+}
+
+/**
+ * Splits courses into carousel Flex Messages of at most 12 bubbles each.
+ */
+export function buildCourseMessages(courses, heading) {
+  const messages = [];
+  for (let index = 0; index < courses.length; index += MAX_BUBBLES_PER_CAROUSEL) {
+    const chunk = courses.slice(index, index + MAX_BUBBLES_PER_CAROUSEL);
+    const titles = chunk.map((course) => `・${course.title ?? ''}`).join('\n');
+    messages.push({
+      type: 'flex',
+      altText: truncate(`${heading}\n${titles}`, MAX_ALT_TEXT_LENGTH),
+      contents: {
+        type: 'carousel',
+        contents: chunk.map(buildCourseBubble),
+      },
+    });
+  }
+  return messages;
+}
+
+export async function pushMessages(messages, config, fetchImpl = fetch) {
+  const { token, to, apiBase } = config;
+  if (!token || !to) {
+    throw new Error('LINE_CHANNEL_ACCESS_TOKEN and LINE_TO are required to push messages.');
+  }
+
+  for (let index = 0; index < messages.length; index += MAX_MESSAGES_PER_PUSH) {
+    const response = await fetchImpl(`${apiBase}${PUSH_PATH}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        to,
+        messages: messages.slice(index, index + MAX_MESSAGES_PER_PUSH),
+      }),
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LINE push failed: HTTP ${response.status} ${detail}`.trim());
+    }
+  }
+}
+
+async function readState(statePath) {
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Unable to read LINE notifier state: ${error.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Sends the post-scrape notifications: one carousel of newly added courses
+ * and, once per day after 09:00 Taipei time, a digest of tomorrow's courses.
+ * Does nothing when LINE is not configured.
+ */
+export async function notifyAfterScrape({
+  added,
+  courses,
+  now = new Date(),
+  statePath,
+  config = getLineConfig(),
+  fetchImpl = fetch,
+}) {
+  if (!config.token || !config.to) {
+    return { skipped: true, added: 0, reminders: 0 };
+  }
+
+  const messages = [];
+  if (added.length) {
+    messages.push(...buildCourseMessages(added, `新課程上架（${added.length} 堂）`));
+  }
+
+  const state = statePath ? await readState(statePath) : {};
+  const tomorrow = addDays(formatTaipeiDate(now), 1);
+  const hour = Number.parseInt(taipeiHourFormatter.format(now), 10);
+  const upcoming = courses.filter((course) => getCourseDay(course) === tomorrow);
+  const shouldRemind =
+    hour >= REMINDER_HOUR && state.lastReminderFor !== tomorrow && upcoming.length > 0;
+
+  if (shouldRemind) {
+    messages.push(...buildCourseMessages(upcoming, `明天開課（${tomorrow}）`));
+  }
+
+  if (messages.length) {
+    await pushMessages(messages, config, fetchImpl);
+  }
+
+  if (shouldRemind && statePath) {
+    const nextState = { ...state, lastReminderFor: tomorrow };
+    await fs.writeFile(statePath, JSON.stringify(nextState, null, 2), 'utf8');
+  }
+
+  return {
+    skipped: false,
+    added: added.length,
+    reminders: shouldRemind ? upcoming.length : 0,
+  };
+}
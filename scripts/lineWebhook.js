@@ -0,0 +1,213 @@
+// LINE webhook server that answers course queries from data/courses.json.
+//   LINE_CHANNEL_SECRET        verifies the x-line-signature header
+//   LINE_CHANNEL_ACCESS_TOKEN  used for the reply API
+//   LINE_API_BASE              API origin, override to point at a mock server
+//   PORT                       listening port (default 3000)
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { addDays, getCourseDay, getWeekday } from '../lib/calendar.js';
+import { enrichCourse, formatTaipeiDate, hasCredits, matchesSearch } from '../lib/courses.js';
+import { buildCourseMessages, getLineConfig } from './lineNotifier.js';
+
+const REPLY_PATH = '/v2/bot/message/reply';
+const MAX_REPLY_COURSES = 12;
+const MAX_BODY_BYTES = 1024 * 1024;
+const HELP_TEXT = [
+  '可用指令：',
+  '・本週課程：本週尚未結束的課程',
+  '・有學分：即將開課且有學分的課程',
+  '・課程 1281：查詢單一課程',
+  '・其他文字：以關鍵字搜尋課程',
+].join('\n');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const COURSES_PATH = path.resolve(__dirname, '../data/courses.json');
+
+export function verifySignature(rawBody, signature, channelSecret) {
+  if (!signature || !channelSecret) return false;
+  const expected = crypto
+    .createHmac('sha256', channelSecret)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+export async function loadCoursesFromFile(filePath = COURSES_PATH) {
+  const payload = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  return payload.courses ?? [];
+}
+
+function getWeekRange(now) {
+  const today = formatTaipeiDate(now);
+  const weekday = getWeekday(today);
+  // weeks run Monday to Sunday
+  return { from: today, to: addDays(today, weekday === 0 ? 0 : 7 - weekday) };
+}
+
+function isUpcoming(course) {
+  return course.deadlineCategory === 'due-soon' || course.deadlineCategory === 'active';
+}
+
+function byDate(a, b) {
+  return (a.date ?? '').localeCompare(b.date ?? '');
+}
+
+/**
+ * Maps a text command to the matching courses. Returns the heading used in
+ * the reply and the courses, or `null` when the text is a help request.
+ */
+export function resolveQuery(text, courses, { now = Date.now() } = {}) {
+  const query = text.trim().replace(/\s+/g, ' ');
+  const enriched = courses.map((course) => enrichCourse(course, { now }));
+
+  if (!query || /^(說明|help|\?|？)$/i.test(query)) return null;
+
+  if (query === '本週課程') {
+    const { from, to } = getWeekRange(now);
+    const matches = enriched.filter((course) => {
+      const day = getCourseDay(course);
+      return day && day >= from && day <= to;
+    });
+    return { heading: `本週課程（${from} ~ ${to}）`, courses: matches.sort(byDate) };
+  }
+
+  if (query === '有學分') {
+    const matches = enriched.filter((course) => isUpcoming(course) && hasCredits(course));
+    return { heading: '即將開課的有學分課程', courses: matches.sort(byDate) };
+  }
+
+  const idMatch = query.match(/^課程\s*#?(\d+)$/);
+  if (idMatch) {
+    const course = enriched.find((item) => item.id === idMatch[1]);
+    return { heading: `課程 ${idMatch[1]}`, courses: course ? [course] : [] };
+  }
+
+  const matches = enriched.filter(
+    (course) => isUpcoming(course) && matchesSearch(course, query),
+  );
+  return { heading: `「${query}」搜尋結果`, courses: matches.sort(byDate) };
+}
+
+export function buildReplyMessages(text, courses, options) {
+  const result = resolveQuery(text, courses, options);
+  if (!result) {
+    return [{ type: 'text', text: HELP_TEXT }];
+  }
+  if (!result.courses.length) {
+    return [{ type: 'text', text: `${result.heading}：找不到符合的課程。\n\n${HELP_TEXT}` }];
+  }
+
+  const shown = result.courses.slice(0, MAX_REPLY_COURSES);
+  const messages = buildCourseMessages(shown, result.heading);
+  if (result.courses.length > shown.length) {
+    messages.push({
+      type: 'text',
+      text: `共 ${result.courses.length} 堂，僅列出前 ${shown.length} 堂，請輸入更精確的關鍵字。`,
+    });
+  }
+  return messages;
+}
+
+async function replyMessages(replyToken, messages, config, fetchImpl) {
+  const response = await fetchImpl(`${config.apiBase}${REPLY_PATH}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${config.token}`,
+    },
+    body: JSON.stringify({ replyToken, messages }),
+  });
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`LINE reply failed: HTTP ${response.status} ${detail}`.trim());
+  }
+}
+
+/**
+ * Verifies and processes one webhook delivery. Kept separate from the HTTP
+ * layer so recorded payloads can be replayed directly.
+ */
+export async function handleWebhook(rawBody, signature, {
+  channelSecret = process.env.LINE_CHANNEL_SECRET,
+  config = getLineConfig(),
+  loadCourses = loadCoursesFromFile,
+  fetchImpl = fetch,
+  now = Date.now(),
+} = {}) {
+  if (!verifySignature(rawBody, signature, channelSecret)) {
+    return { status: 401, replies: [] };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    return { status: 400, replies: [] };
+  }
+
+  const textEvents = (payload.events ?? []).filter(
+    (event) => event.type === 'message' && event.message?.type === 'text' && event.replyToken,
+  );
+  if (!textEvents.length) {
+    return { status: 200, replies: [] };
+  }
+
+  const courses = await loadCourses();
+  const replies = [];
+  for (const event of textEvents) {
+    const messages = buildReplyMessages(event.message.text, courses, { now });
+    await replyMessages(event.replyToken, messages, config, fetchImpl);
+    replies.push({ replyToken: event.replyToken, messages });
+  }
+  return { status: 200, replies };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+export function createWebhookServer(options = {}) {
+  return http.createServer(async (request, response) => {
+    if (request.method !== 'POST') {
+      response.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+
+    try {
+      const rawBody = await readBody(request);
+      const result = await handleWebhook(rawBody, request.headers['x-line-signature'], options);
+      response.writeHead(result.status, { 'Content-Type': 'application/json' });
+      response.end('{}');
+    } catch (error) {
+      console.error('Webhook handling failed', error);
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+      response.end('{}');
+    }
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number.parseInt(process.env.PORT ?? '3000', 10);
+  createWebhookServer().listen(port, () => {
+    console.log(`LINE webhook listening on :${port}`);
+  });
+}
@@ -0,0 +1,144 @@
+// Options for scripts/fetchCourses.js. Defaults are overridden by a JSON
+// config file (scraper.config.json in the working directory, or --config),
+// which is in turn overridden by command-line flags.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const DEFAULT_CONFIG_FILE = 'scraper.config.json';
+
+export const DEFAULT_OPTIONS = {
+  // list pages refreshed on every run
+  pages: 5,
+  // one-off depth used when no archive exists yet
+  backfillPages: 60,
+  concurrency: 10,
+  // requests per second across list and detail pages, 0 for no limit
+  rateLimit: 0,
+  retries: 3,
+  out: fileURLToPath(new URL('../data', import.meta.url)),
+  // scrape state that is not published with the site; git-ignored
+  cacheDir: fileURLToPath(new URL('../.cache', import.meta.url)),
+  onlyDetail: null,
+  dryRun: false,
+  fromFixtures: null,
+  // adapter ids from scripts/sources/index.js
+  sources: ['kaa'],
+};
+
+export const USAGE = `Usage: npm run fetch -- [options]
+
+  --pages <n>             list pages to refresh (default ${DEFAULT_OPTIONS.pages})
+  --backfill-pages <n>    list pages scanned when no archive exists yet (default ${DEFAULT_OPTIONS.backfillPages})
+  --concurrency <n>       parallel detail page requests (default ${DEFAULT_OPTIONS.concurrency})
+  --rate-limit <n>        max requests per second, 0 for no limit (default ${DEFAULT_OPTIONS.rateLimit})
+  --retries <n>           attempts per request (default ${DEFAULT_OPTIONS.retries})
+  --out <dir>             output directory (default data/)
+  --cache-dir <dir>       detail page cache, kept out of the published files
+                          (default .cache/, or <out>/.cache with --from-fixtures)
+  --source <id>           scrape only this source, repeat for several (default ${DEFAULT_OPTIONS.sources.join(', ')})
+  --only-detail <id>      fetch and print one course detail page of the first source, write nothing
+  --dry-run               print what would change without writing any file
+  --from-fixtures <dir>   answer requests from saved pages in <dir>, e.g. list-page.html,
+                          detail-<id>.html and attachment-<file>.pdf for kaa; a
+                          fixtures.json there maps those names to other files.
+                          Needs --out or --dry-run and never notifies LINE
+  --config <file>         JSON file with any of the options above in camelCase
+                          (default ${DEFAULT_CONFIG_FILE} when present)
+  -h, --help              show this message`;
+
+const FLAGS = {
+  pages: { type: 'string' },
+  'backfill-pages': { type: 'string' },
+  concurrency: { type: 'string' },
+  'rate-limit': { type: 'string' },
+  retries: { type: 'string' },
+  out: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  'only-detail': { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  'from-fixtures': { type: 'string' },
+  source: { type: 'string', multiple: true },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const POSITIVE_INTEGERS = ['pages', 'backfillPages', 'concurrency', 'retries'];
+const PATHS = ['out', 'cacheDir', 'fromFixtures'];
+
+const toCamelCase = (flag) => flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+async function readConfigFile(configPath, { required }) {
+  try {
+    return JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return {};
+    throw new Error(`Unable to read config file ${configPath}: ${error.message}`);
+  }
+}
+
+function normalizeOption(key, value, baseDir) {
+  if (POSITIVE_INTEGERS.includes(key)) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${key} must be a positive integer, got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+  if (key === 'rateLimit') {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`rateLimit must be zero or a positive number, got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+  if (key === 'dryRun') return Boolean(value);
+  if (key === 'sources') {
+    const ids = [value].flat().map((id) => String(id).trim()).filter(Boolean);
+    if (!ids.length) throw new Error('sources must name at least one source');
+    return [...new Set(ids)];
+  }
+  if (value == null) return null;
+  if (PATHS.includes(key)) return path.resolve(baseDir, String(value));
+  return String(value);
+}
+
+function normalizeOptions(raw, baseDir, source) {
+  const options = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    if (!(key in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option "${key}" in ${source}`);
+    }
+    options[key] = normalizeOption(key, value, baseDir);
+  });
+  return options;
+}
+
+export async function resolveOptions(argv = process.argv.slice(2), { cwd = process.cwd() } = {}) {
+  const { values } = parseArgs({ args: argv, options: FLAGS, strict: true });
+  if (values.help) return { ...DEFAULT_OPTIONS, help: true };
+
+  const configPath = path.resolve(cwd, values.config ?? DEFAULT_CONFIG_FILE);
+  const config = await readConfigFile(configPath, { required: Boolean(values.config) });
+  // paths in a config file are relative to the file, not to where it is run from
+  const fromConfig = normalizeOptions(config, path.dirname(configPath), configPath);
+
+  const flags = {};
+  Object.entries(values).forEach(([flag, value]) => {
+    if (flag === 'config') return;
+    flags[flag === 'source' ? 'sources' : toCamelCase(flag)] = value;
+  });
+  const fromFlags = normalizeOptions(flags, cwd, 'command-line flags');
+
+  const options = { ...DEFAULT_OPTIONS, ...fromConfig, ...fromFlags, help: false };
+  const isSet = (key) => key in fromConfig || key in fromFlags;
+  if (options.fromFixtures) {
+    // saved pages must never overwrite the published data/ or the real cache
+    if (!isSet('out') && !options.dryRun && !options.onlyDetail) {
+      throw new Error('fromFixtures needs an explicit out directory or dryRun');
+    }
+    if (!isSet('cacheDir')) options.cacheDir = path.join(options.out, '.cache');
+  }
+  return options;
+}
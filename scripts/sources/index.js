@@ -0,0 +1,34 @@
+// Registry of course sources. An adapter describes one association's site:
+//
+//   id, name, listUrl          tag stored on each course, display name, list page
+//   getListPageUrl(page)       URL of list page `page` (1-based)
+//   getDetailUrl(id)           URL of the detail page for a course id
+//   getFixtureName(url)        file name used by --from-fixtures, null if not ours
+//   decodeHtml(buffer, type)   bytes + Content-Type header to HTML text
+//   parseCourses(html)         list page to course rows (see kaa.js for the shape)
+//   parseCourseDetail(html, { date })
+//                              detail page to { credits, attachments, ...EMPTY_DETAIL_FIELDS };
+//                              `date` is the course date, for year-less dates
+//
+// Course ids must be unique across sources. KAA keeps its bare numeric ids;
+// other adapters prefix theirs with the source id ("taa-123").
+import { kaa } from './kaa.js';
+
+export const SOURCES = { kaa };
+
+export const DEFAULT_SOURCE_IDS = ['kaa'];
+
+export function getSource(id) {
+  const source = SOURCES[id];
+  if (!source) {
+    throw new Error(`Unknown source "${id}", expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return source;
+}
+
+export function describeSources(ids) {
+  return ids.map((id) => {
+    const { name, listUrl } = getSource(id);
+    return { id, name, url: listUrl };
+  });
+}
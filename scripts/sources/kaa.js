@@ -0,0 +1,377 @@
+// Adapter for 社團法人高雄市建築師公會 (KAA), news_class_list.php and
+// news_class_show.php. Course ids are the bare `b=` value, which existing
+// bookmarks and feed ids rely on.
+import path from 'node:path';
+import { load } from 'cheerio';
+import { classifyLink } from '../../lib/courses.js';
+import {
+  cleanText,
+  createLink,
+  decodeHtml,
+  extractOnclickUrl,
+  findRegistrationMarker,
+  parseCourseTime,
+  parseDates,
+  resolveUrl,
+} from './shared.js';
+
+const BASE_URL = 'https://www.kaa.org.tw/news_class_list.php';
+const DETAIL_PAGE = 'news_class_show.php';
+const DOWNLOAD_PAGE = 'download.php';
+
+const toAbsoluteUrl = (url) => resolveUrl(url, BASE_URL);
+const buildLink = (label, url, fallbackLabel) => createLink(label, url, fallbackLabel, BASE_URL);
+
+function extractCourseId(url) {
+  if (!url) return null;
+  try {
+    return new URL(url, BASE_URL).searchParams.get('b') || null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseCourses(html) {
+  const $ = load(html);
+  const rows = $('table tr').slice(1);
+  const courses = [];
+
+  rows.each((_, row) => {
+    const cells = $(row).find('td');
+    if (!cells.length) return;
+
+    const titleCell = $(cells[0]);
+    const title = cleanText(titleCell.text());
+    if (!title) return;
+
+    const dateText = cleanText($(cells[1]).text());
+    const timeText = cleanText($(cells[2]).text());
+
+    const detailLink = buildLink(
+      $(cells[3]).text(),
+      $(cells[3]).find('a').attr('href') ?? titleCell.find('a').attr('href'),
+      '課程資訊',
+    );
+
+    // Try column 4 first, then scan all cells for registration links
+    let registerLink = buildLink(
+      $(cells[4]).text(),
+      $(cells[4]).find('a').attr('href'),
+      '線上報名',
+    );
+
+    // Fallback: search all cells for links containing apply/報名 patterns
+    if (!registerLink) {
+      cells.each((ci, cell) => {
+        if (registerLink) return;
+        $(cell).find('a').each((__, anchor) => {
+          if (registerLink) return;
+          const rawHref = $(anchor).attr('href') || '';
+          const href = toAbsoluteUrl(rawHref)
+            ? rawHref
+            : (extractOnclickUrl($(anchor).attr('onclick')) ?? rawHref);
+          const text = cleanText($(anchor).text());
+          if (classifyLink({ label: text, url: href }).isRegister) {
+            registerLink = buildLink(text, href, '線上報名');
+          }
+        });
+      });
+    }
+
+    const extras = [];
+    $(cells[5])
+      .find('a')
+      .each((__, anchor) => {
+        const link = buildLink($(anchor).text(), $(anchor).attr('href'), '相關連結');
+        if (link) {
+          extras.push(link);
+        }
+      });
+
+    const seen = new Set();
+    const links = [detailLink, registerLink, ...extras].filter((link) => {
+      if (!link) {
+        return false;
+      }
+      if (seen.has(link.url)) {
+        return false;
+      }
+      seen.add(link.url);
+      return true;
+    });
+
+    courses.push({
+      id: extractCourseId(detailLink?.url),
+      title,
+      date: dateText || null,
+      deadline: dateText || null,
+      time: timeText || null,
+      ...parseCourseTime(dateText, timeText),
+      links,
+      detailUrl: detailLink?.url ?? null,
+      registrationUrl: registerLink?.url ?? null,
+      // "(已額滿)" in the title or a plain "已額滿" where the sign-up link would be
+      registrationMarker: findRegistrationMarker(`${title} ${cleanText($(cells[4]).text())}`),
+    });
+  });
+
+  return courses;
+}
+
+const DETAIL_FIELD_LABELS = {
+  title: /^(?:課程|活動|講座|講習)(?:名稱|主題)$/,
+  venue: /^(?:上課|課程|活動|講習)?(?:地點|地址|場地)$/,
+  speakers: /^(?:主講人|主講者|講師|講者|授課講師|主持人)$/,
+  fee: /^(?:報名)?(?:費用|收費|課程費用)$/,
+  capacity: /^(?:名額|人數|報名人數|招收名額|限額)$/,
+  organizer: /^(?:主辦單位|主辦|承辦單位|承辦|協辦單位)$/,
+  registrationOpens: /^(?:報名開始|開始報名|開放報名)(?:日期|時間)?$/,
+  registrationPeriod: /^(?:報名(?:期間|期限|日期|時間)|報名截止|截止報名|截止)(?:日期|時間)?$/,
+  registrationLink: /^(?:線上)?報名(?:連結|網址|方式|網頁)?$/,
+};
+
+function matchDetailField(label) {
+  const normalized = cleanText(label).replace(/[\s:：]/g, '');
+  if (!normalized) return null;
+  return (
+    Object.keys(DETAIL_FIELD_LABELS).find((field) =>
+      DETAIL_FIELD_LABELS[field].test(normalized),
+    ) ?? null
+  );
+}
+
+// the free-text section; kept out of DETAIL_FIELD_LABELS because its line
+// breaks matter and it never comes as an inline "label：value" fragment
+const DESCRIPTION_LABEL = /^(?:課程|活動|講座)?(?:內容|說明|簡介|介紹|概要)(?:說明|簡介)?$/;
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+function parseDescription($) {
+  let description = null;
+  $('tr').each((_, row) => {
+    const cells = $(row).children('td, th');
+    if (cells.length < 2) return;
+    if (!DESCRIPTION_LABEL.test(cleanText($(cells[0]).text()).replace(/[\s:：]/g, ''))) return;
+
+    // one line per <br> or block element, blank lines dropped
+    const html = $(cells.slice(1))
+      .toArray()
+      .map((cell) => $(cell).html() ?? '')
+      .join('<br>')
+      .replace(/<br\s*\/?>|<\/(?:p|div|li|h\d)>/gi, '\n');
+    const text = load(html)
+      .text()
+      .split('\n')
+      .map((line) => cleanText(line))
+      .filter(Boolean)
+      .join('\n');
+    if (text) description = text.slice(0, MAX_DESCRIPTION_LENGTH);
+    return false;
+  });
+  return description;
+}
+
+function parseSpeakers(value) {
+  return value
+    .split(/[、,，;；\/]|\s{2,}/)
+    .map((name) => cleanText(name))
+    .filter(Boolean);
+}
+
+function parseFee(value) {
+  if (/免費|免收|不收費|免報名費/.test(value)) return 0;
+  const match = value.replace(/,/g, '').match(/([0-9]+(?:\.[0-9]+)?)\s*元/);
+  return match ? Number.parseFloat(match[1]) : null;
+}
+
+function parseCapacity(value) {
+  const match = value.replace(/,/g, '').match(/([0-9]+)\s*(?:人|名|位)?/);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
+function parseDetailFields($, courseDate) {
+  const raw = {};
+
+  const assign = (label, value) => {
+    const field = matchDetailField(label);
+    const text = cleanText(value);
+    if (!field || !text || raw[field]) return;
+    raw[field] = text;
+  };
+
+  // label/value table rows: <tr><td>上課地點</td><td>...</td></tr>
+  $('tr').each((_, row) => {
+    const cells = $(row).children('td, th');
+    if (cells.length < 2) return;
+    assign($(cells[0]).text(), $(cells.slice(1)).text());
+  });
+
+  // inline "label：value" fragments inside a single cell or paragraph
+  $('td, p, li, div')
+    .filter((_, el) => $(el).children('td, p, li, div, table').length === 0)
+    .each((_, el) => {
+      const html = $(el).html() ?? '';
+      html
+        .split(/<br\s*\/?>/i)
+        .map((fragment) => cleanText(load(fragment).text()))
+        .forEach((line) => {
+          const match = line.match(/^([^:：]{2,8})[:：]\s*(.+)$/);
+          if (match) assign(match[1], match[2]);
+        });
+    });
+
+  // the block holding a sign-up link, which turns into "已額滿" once full
+  const registerCells = $('a')
+    .filter((_, anchor) =>
+      classifyLink({ label: cleanText($(anchor).text()), url: $(anchor).attr('href') ?? '' })
+        .isRegister,
+    )
+    .map((_, anchor) => cleanText($(anchor).closest('td, li, p').text()))
+    .get();
+
+  return {
+    venue: raw.venue ?? null,
+    speakers: raw.speakers ? parseSpeakers(raw.speakers) : [],
+    fee: raw.fee != null ? parseFee(raw.fee) : null,
+    feeText: raw.fee ?? null,
+    capacity: raw.capacity != null ? parseCapacity(raw.capacity) : null,
+    organizer: raw.organizer ?? null,
+    ...parseRegistrationDates(raw, courseDate),
+    description: parseDescription($),
+    // only where the page speaks about this course's sign-up: navigation,
+    // related courses and the description may mention other courses' status
+    registrationMarker: findRegistrationMarker(
+      [raw.title, raw.registrationLink, raw.registrationPeriod, ...registerCells].join(' '),
+    ),
+  };
+}
+
+// "115/11/01~115/12/10" gives both ends, "即日起至12月10日止" only the deadline;
+// dates without a year take the one of the course date
+function parseRegistrationDates(raw, courseDate) {
+  const period = parseDates(raw.registrationPeriod, { before: courseDate });
+  const [opens] = parseDates(raw.registrationOpens, { before: courseDate });
+  return {
+    registrationOpens: opens ?? (period.length > 1 ? period[0] : null),
+    registrationDeadline: period.length ? period[period.length - 1] : null,
+  };
+}
+
+export function parseCourseDetail(html, { date } = {}) {
+  const $ = load(html);
+
+  // quick credit parsing
+  const creditContainer = $('td')
+    .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim())
+    .get()
+    .find((text) => /\u7e3d\s*\u5206|\u7e3d\s*\u5b78\u5206/.test(text));
+
+  let credits = null;
+  if (creditContainer) {
+    const match = creditContainer.match(
+      /\u7e3d\s*(?:\u5b78\s*)?\u5206[:\uFF1A\s]*([0-9]+(?:\.[0-9]+)?)/,
+    );
+    if (match) {
+      credits = Number.parseFloat(match[1]);
+    }
+  }
+
+  // fast attachment detection (PDFs + download.php) without extra probing
+  const attachments = [];
+  const fileExtPattern = /\.pdf(?:[?#].*)?$/i;
+  const downloadPhpPattern = /download\.php\?b=/i;
+  const seen = new Set();
+
+  const pushAttachment = (url, label) => {
+    if (!url) return;
+    if (seen.has(url)) return;
+    seen.add(url);
+    attachments.push({ label: label || path.basename(url), url });
+  };
+
+  // primary pass: anchors with explicit file extensions or obvious download hints
+  $('a').each((_, anchor) => {
+    const $a = $(anchor);
+    const href = $a.attr('href');
+    const text = cleanText($a.text());
+
+    // try href first
+    if (href) {
+      const abs = toAbsoluteUrl(href);
+      if (abs && (fileExtPattern.test(abs) || downloadPhpPattern.test(abs))) {
+        pushAttachment(abs, text);
+        return;
+      }
+    }
+
+    // fallback: check onclick handlers that may open a file
+    const onclick = $a.attr('onclick') || $a.closest('[onclick]').attr('onclick');
+    if (onclick) {
+      const mHttp = onclick.match(/https?:\/\/[^'")\s]+\.pdf(?:[?#][^'")\s]*)?/i);
+      const mQuoted = onclick.match(/['"]([^'"\]]+\.pdf(?:[?#].*)?)['"]/i);
+      const urlCandidate = mHttp ? mHttp[0] : mQuoted ? mQuoted[1] : null;
+      if (urlCandidate) {
+        const abs2 = toAbsoluteUrl(urlCandidate);
+        if (abs2) {
+          pushAttachment(abs2, text);
+        }
+      }
+    }
+  });
+
+  // secondary pass: labeled blocks like "檔案下載"/"附件" and their anchors
+  $('*')
+    .filter((_, el) => /檔案下載|附件|下載/.test(cleanText($(el).text())))
+    .each((_, el) => {
+      const $el = $(el);
+      // find anchors inside the same block or immediate next sibling(s)
+      const localAnchors = $el.find('a').toArray();
+      if (!localAnchors.length) {
+        const nextAnchors = $el.next().find('a').toArray();
+        localAnchors.push(...nextAnchors);
+      }
+      localAnchors.forEach((anchor) => {
+        const href = $(anchor).attr('href');
+        if (!href) return;
+        const abs = toAbsoluteUrl(href);
+        if (!abs) return;
+        if (fileExtPattern.test(abs) || downloadPhpPattern.test(abs)) {
+          pushAttachment(abs, cleanText($(anchor).text()));
+        }
+      });
+    });
+
+  return {
+    credits,
+    attachments,
+    ...parseDetailFields($, date),
+  };
+}
+
+export const kaa = {
+  id: 'kaa',
+  name: '高雄市建築師公會',
+  listUrl: BASE_URL,
+  getListPageUrl(page) {
+    const url = new URL(BASE_URL);
+    if (page > 1) url.searchParams.set('b', String(page));
+    return url.href;
+  },
+  getDetailUrl(id) {
+    const url = new URL(DETAIL_PAGE, BASE_URL);
+    url.searchParams.set('b', id);
+    return url.href;
+  },
+  // list-page.html / list-page-<n>.html and detail-<id>.html
+  getFixtureName(url) {
+    const { origin, pathname, searchParams } = new URL(url);
+    if (origin !== new URL(BASE_URL).origin) return null;
+    const id = searchParams.get('b');
+    if (pathname.endsWith(DETAIL_PAGE)) return id ? `detail-${id}.html` : null;
+    if (pathname.endsWith(DOWNLOAD_PAGE)) return id ? `attachment-${path.basename(id)}.pdf` : null;
+    if (/\.pdf$/i.test(pathname)) return `attachment-${path.basename(pathname)}`;
+    return id && id !== '1' ? `list-page-${id}.html` : 'list-page.html';
+  },
+  decodeHtml,
+  parseCourses,
+  parseCourseDetail,
+};
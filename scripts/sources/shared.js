@@ -0,0 +1,238 @@
+// Parsing helpers shared by the source adapters in this directory.
+import iconv from 'iconv-lite';
+
+export function cleanText(value) {
+  return (
+    value
+      ?.replace(/\u00a0/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim() ?? ''
+  );
+}
+
+export function resolveUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const absolute = new URL(url, baseUrl);
+    // javascript:/mailto: pseudo links are not something to open or store
+    return /^https?:$/.test(absolute.protocol) ? absolute.href : null;
+  } catch {
+    return null;
+  }
+}
+
+export function createLink(label, url, fallbackLabel, baseUrl) {
+  const normalizedUrl = resolveUrl(url, baseUrl);
+  if (!normalizedUrl) {
+    return null;
+  }
+
+  const normalizedLabel = cleanText(label) || fallbackLabel;
+  return {
+    label: normalizedLabel,
+    url: normalizedUrl,
+  };
+}
+
+// window.open('...') / location.href='...' targets of script-driven links
+export function extractOnclickUrl(onclick) {
+  const match = onclick?.match(
+    /(?:window\.open|location(?:\.href)?\s*=)\s*\(?\s*['"]([^'"]+)['"]/i,
+  );
+  return match ? match[1] : null;
+}
+
+const TIME_PERIOD_OFFSETS = {
+  上午: 0,
+  早上: 0,
+  中午: 12,
+  下午: 12,
+  晚上: 12,
+};
+const TIME_TOKEN_PATTERN =
+  /(上午|早上|中午|下午|晚上)?\s*(\d{1,2})(?::(\d{2})|點(?:半|(\d{1,2})分?)?)\s*(開始報到|報到|開課|開始|出發)?/g;
+const TIME_RANGE_SEPARATOR = /^\s*[~～〜\-－—–至]\s*$/;
+
+function toHalfWidth(value) {
+  return value
+    .replace(/[\uFF01-\uFF5E]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) - 0xfee0),
+    )
+    .replace(/\u3000/g, ' ');
+}
+
+function toClockMinutes(period, hourText, minuteText, halfHour) {
+  let hour = Number.parseInt(hourText, 10);
+  const minute = halfHour ? 30 : Number.parseInt(minuteText ?? '0', 10);
+  if (period) {
+    if (hour < 12) hour += TIME_PERIOD_OFFSETS[period];
+    if (period === '中午' && hour >= 18) hour -= 12;
+  } else if (hour > 0 && hour < 7) {
+    // un-prefixed "2:00~5:00" is an afternoon session, never 2 a.m.
+    hour += 12;
+  }
+  if (hour > 23 || minute > 59) return null;
+  return hour * 60 + minute;
+}
+
+function toTaipeiIso(dateText, minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${dateText}T${hours}:${mins}:00+08:00`;
+}
+
+/**
+ * Turns the free-text time column ("下午2：30~5：00(下午2：20開始報到)") into
+ * Asia/Taipei ISO timestamps. Missing pieces stay null; the caller keeps the
+ * original text as a fallback.
+ */
+export function parseCourseTime(dateText, timeText) {
+  const result = {
+    startAt: null,
+    endAt: null,
+    checkInAt: null,
+    durationMinutes: null,
+  };
+  const date = dateText?.trim().replace(/\//g, '-');
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !timeText) return result;
+
+  const normalized = toHalfWidth(timeText);
+  const tokens = [];
+  let period = null;
+  for (const match of normalized.matchAll(TIME_TOKEN_PATTERN)) {
+    const [full, periodText, hourText, minuteText, pointMinute, keyword] = match;
+    if (periodText) period = periodText;
+    const minutes = toClockMinutes(
+      period,
+      hourText,
+      minuteText ?? pointMinute,
+      full.includes('點半'),
+    );
+    if (minutes == null) continue;
+    tokens.push({
+      minutes,
+      keyword: keyword ?? null,
+      start: match.index,
+      end: match.index + full.length,
+    });
+  }
+  if (!tokens.length) return result;
+
+  // multi-session days ("上午9:00~12:00，下午1:30~4:30") start with the first
+  // range and end with the last one
+  let rangeStart = null;
+  let rangeEnd = null;
+  for (let index = 0; index < tokens.length - 1; index += 1) {
+    const gap = normalized.slice(tokens[index].end, tokens[index + 1].start);
+    if (!tokens[index].keyword && TIME_RANGE_SEPARATOR.test(gap)) {
+      const from = tokens[index].minutes;
+      let to = tokens[index + 1].minutes;
+      if (to <= from && to < 12 * 60) to += 12 * 60;
+      rangeStart ??= from;
+      rangeEnd = to;
+      index += 1;
+    }
+  }
+
+  const checkIn = tokens.find((token) => /報到/.test(token.keyword ?? ''));
+  const explicitStart = tokens.find((token) =>
+    /開課|開始$|出發/.test(token.keyword ?? ''),
+  );
+  const firstPlain = tokens.find((token) => !token.keyword);
+  const start = explicitStart?.minutes ?? rangeStart ?? firstPlain?.minutes ?? null;
+
+  if (start != null) result.startAt = toTaipeiIso(date, start);
+  if (rangeEnd != null && start != null && rangeEnd > start) {
+    result.endAt = toTaipeiIso(date, rangeEnd);
+    result.durationMinutes = rangeEnd - start;
+  }
+  if (checkIn) result.checkInAt = toTaipeiIso(date, checkIn.minutes);
+
+  return result;
+}
+
+function toIsoDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// YYYY-MM-DD of every date in `text`; Minguo years (115/12/10, 115年12月10日)
+// are converted to the Gregorian calendar. With `before` (YYYY-MM-DD), a text
+// without any year ("12月10日") gets the latest year that keeps each date on
+// or before it.
+export function parseDates(text, { before } = {}) {
+  const normalized = toHalfWidth(text ?? '');
+  const dates = [];
+  const pattern = /(\d{2,4})\s*[/.\-年]\s*(\d{1,2})\s*[/.\-月]\s*(\d{1,2})/g;
+  for (const [, yearText, monthText, dayText] of normalized.matchAll(pattern)) {
+    const year = Number(yearText) < 1911 ? Number(yearText) + 1911 : Number(yearText);
+    const date = toIsoDate(year, Number(monthText), Number(dayText));
+    if (date) dates.push(date);
+  }
+  if (dates.length || !/^\d{4}-\d{2}-\d{2}$/.test(before ?? '')) return dates;
+
+  const beforeYear = Number(before.slice(0, 4));
+  const yearless = /(\d{1,2})\s*(?:月\s*(\d{1,2})\s*日|\/\s*(\d{1,2}))/g;
+  for (const [, monthText, dayText, slashDayText] of normalized.matchAll(yearless)) {
+    const month = Number(monthText);
+    const day = Number(dayText ?? slashDayText);
+    const date = toIsoDate(beforeYear, month, day);
+    if (date) dates.push(date > before ? toIsoDate(beforeYear - 1, month, day) : date);
+  }
+  return dates;
+}
+
+// first match wins, so a "(已額滿截止報名)" title reads as full
+const REGISTRATION_MARKERS = [
+  ['full', /已額滿|額滿(?!為止)|名額已滿|已滿額/],
+  ['closed', /報名已截止|已截止報名|截止報名|停止報名|報名截止|已截止/],
+  ['not-yet-open', /尚未開放報名|即將開放報名|尚未開始報名|報名尚未開始|報名即將開始/],
+];
+// "報名截止：115/12/10" names a date, it does not say registration has closed
+const REGISTRATION_LABEL_PATTERN = /(?:報名)?截止(?:報名)?(?:日期|時間)?\s*[:：]/g;
+
+// 'full', 'closed' or 'not-yet-open' when the text says so, otherwise null
+export function findRegistrationMarker(text) {
+  const cleaned = (text ?? '').replace(REGISTRATION_LABEL_PATTERN, '');
+  return REGISTRATION_MARKERS.find(([, pattern]) => pattern.test(cleaned))?.[0] ?? null;
+}
+
+// detail fields every adapter fills in, with their "not found" values
+export const EMPTY_DETAIL_FIELDS = {
+  venue: null,
+  speakers: [],
+  fee: null,
+  feeText: null,
+  capacity: null,
+  organizer: null,
+  registrationOpens: null,
+  registrationDeadline: null,
+  description: null,
+};
+
+function detectCharset(buffer, contentType) {
+  const fromHeader = contentType?.match(/charset=["']?([\w-]+)/i)?.[1];
+  if (fromHeader) return fromHeader.toLowerCase();
+
+  // the meta tag sits in the ASCII-only head, so a latin1 peek is safe
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const fromMeta = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  return fromMeta ? fromMeta.toLowerCase() : null;
+}
+
+/**
+ * Decodes a fetched page. Taiwanese sites declare Big5 inconsistently, so an
+ * undeclared page that is not valid UTF-8 is retried as `fallbackCharset`.
+ */
+export function decodeHtml(buffer, contentType, { fallbackCharset = 'big5' } = {}) {
+  const charset = detectCharset(buffer, contentType);
+  if (charset && charset !== 'utf-8' && charset !== 'utf8' && iconv.encodingExists(charset)) {
+    return iconv.decode(buffer, charset);
+  }
+
+  const html = buffer.toString('utf8');
+  if (!charset && html.includes('\uFFFD')) {
+    return iconv.decode(buffer, fallbackCharset);
+  }
+  return html;
+}
@@ -0,0 +1,149 @@
+// Service worker: precaches the app shell and keeps the last known course
+// data so the page still opens at venues with weak or no signal.
+
+// bump whenever SHELL_FILES or the exports shared between shell modules change
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `kaa-courses-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `kaa-courses-data-${CACHE_VERSION}`;
+const OFFLINE_HEADER = 'X-Served-From-Cache';
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './app.js',
+  './lib/calendar.js',
+  './lib/courses.js',
+  './lib/ics.js',
+  './styles.css',
+  './logo.png',
+  './manifest.webmanifest',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([SHELL_CACHE, DATA_CACHE]);
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => !keep.has(key)).map((key) => caches.delete(key))),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+const SHELL_URLS = new Set(
+  SHELL_FILES.map((file) => new URL(file, self.registration.scope).href),
+);
+
+function isShellRequest(request, url) {
+  return request.mode === 'navigate' || SHELL_URLS.has(`${url.origin}${url.pathname}`);
+}
+
+function isModuleRequest(url) {
+  return url.pathname.endsWith('.js');
+}
+
+function isDataRequest(url) {
+  return /\/data\/[^/]+\.json$/.test(url.pathname);
+}
+
+// data URLs carry a cache-busting query; store them under the bare path
+function dataCacheKey(url) {
+  return `${url.origin}${url.pathname}`;
+}
+
+async function markOffline(response) {
+  const headers = new Headers(response.headers);
+  headers.set(OFFLINE_HEADER, '1');
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+// network first so the hourly data stays fresh; the cached copy is the fallback
+async function handleData(request, url) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(dataCacheKey(url), response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(dataCacheKey(url));
+    if (cached) return markOffline(cached);
+    throw error;
+  }
+}
+
+// app.js and lib/*.js import each other; fetching them network first keeps a
+// new app.js from running against a cached lib module of the previous deploy
+async function handleModule(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// stale-while-revalidate: answer from cache, refresh the shell in the background
+async function handleShell(event, request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const isNavigation = request.mode === 'navigate';
+  const cached = await cache.match(isNavigation ? './index.html' : request, {
+    ignoreSearch: true,
+  });
+
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        cache.put(isNavigation ? './index.html' : request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  const response = await refresh;
+  return response ?? Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (isDataRequest(url)) {
+    event.respondWith(handleData(request, url));
+    return;
+  }
+
+  if (isShellRequest(request, url)) {
+    event.respondWith(
+      isModuleRequest(url) ? handleModule(request) : handleShell(event, request),
+    );
+  }
+});
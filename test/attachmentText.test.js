@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import {
+  SEARCH_INDEX_VERSION,
+  buildSearchIndex,
+  extractPdfText,
+  isPdf,
+} from '../scripts/attachmentText.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/kaa');
+const pdf = await fs.readFile(path.join(FIXTURES, 'attachment-syllabus.pdf'));
+
+const file = (name) => ({ label: name, url: `https://www.kaa.org.tw/download.php?b=${name}` });
+const now = new Date('2026-10-19T00:00:00.000Z');
+
+describe('extractPdfText', () => {
+  it('returns normalized text without whitespace', async () => {
+    assert.equal(await extractPdfText(pdf), '課程簡章:防火避難設計規範講師王大明');
+  });
+});
+
+describe('isPdf', () => {
+  it('trusts the content type or the file signature', () => {
+    assert.equal(isPdf(Buffer.from('x'), 'application/pdf'), true);
+    assert.equal(isPdf(pdf, 'application/octet-stream'), true);
+    assert.equal(isPdf(Buffer.from('<html>'), 'text/html'), false);
+  });
+});
+
+describe('buildSearchIndex', () => {
+  it('extracts new PDFs, reuses known files and retries failures next run', async () => {
+    const requested = [];
+    const download = async (url) => {
+      requested.push(url);
+      if (url.endsWith('broken')) throw new Error('HTTP 500');
+      if (url.endsWith('poster')) {
+        return { buffer: Buffer.from('GIF89a'), contentType: 'image/gif' };
+      }
+      return { buffer: pdf, contentType: null };
+    };
+    const known = { checkedAt: '2026-10-01T00:00:00.000Z', text: '舊內容' };
+    const previous = {
+      version: SEARCH_INDEX_VERSION,
+      files: { [file('old').url]: known },
+    };
+
+    const { index, stats } = await buildSearchIndex(
+      [
+        { id: '1281', attachments: [file('syllabus'), file('old')] },
+        { id: '1282', attachments: [file('poster'), file('broken')] },
+        { id: '1283', attachments: [] },
+      ],
+      previous,
+      { download, now },
+    );
+
+    assert.deepEqual(stats, { cached: 1, extracted: 1, skipped: 1, failed: 1 });
+    assert.ok(!requested.includes(file('old').url));
+    assert.deepEqual(index.courses, {
+      1281: [file('syllabus').url, file('old').url],
+      1282: [file('poster').url, file('broken').url],
+    });
+    assert.deepEqual(index.files, {
+      [file('syllabus').url]: {
+        checkedAt: now.toISOString(),
+        text: '課程簡章:防火避難設計規範講師王大明',
+      },
+      [file('old').url]: known,
+      [file('poster').url]: { checkedAt: now.toISOString(), text: null },
+    });
+  });
+
+  it('asks for a size limit and skips files past it', async () => {
+    const limits = [];
+    const download = async (url, { maxBytes }) => {
+      limits.push(maxBytes);
+      return { notModified: false, tooLarge: true };
+    };
+    const { index, stats } = await buildSearchIndex(
+      [{ id: '1281', attachments: [file('scan')] }],
+      null,
+      { download, now },
+    );
+    assert.deepEqual(limits, [10 * 1024 * 1024]);
+    assert.deepEqual(stats, { cached: 0, extracted: 0, skipped: 1, failed: 0 });
+    assert.deepEqual(index.files[file('scan').url], { checkedAt: now.toISOString(), text: null });
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  addDays,
+  addMonths,
+  getCourseDay,
+  getMonthWeeks,
+  getWeekDays,
+  isDayKey,
+} from '../lib/calendar.js';
+
+describe('isDayKey', () => {
+  it('accepts real dates only', () => {
+    assert.equal(isDayKey('2026-12-19'), true);
+    assert.equal(isDayKey('2026-02-30'), false);
+    assert.equal(isDayKey('2026/12/19'), false);
+    assert.equal(isDayKey(null), false);
+  });
+});
+
+describe('getCourseDay', () => {
+  it('reads both list date formats', () => {
+    assert.equal(getCourseDay({ date: '2026/12/19' }), '2026-12-19');
+    assert.equal(getCourseDay({ date: '2026-12-19' }), '2026-12-19');
+    assert.equal(getCourseDay({ date: null }), null);
+  });
+});
+
+describe('day arithmetic', () => {
+  it('crosses month and year boundaries', () => {
+    assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(addMonths('2026-01-31', 1), '2026-02-01');
+    assert.equal(addMonths('2026-01-15', -1), '2025-12-01');
+  });
+
+  it('starts weeks on Sunday', () => {
+    assert.deepEqual(getWeekDays('2026-12-19'), [
+      '2026-12-13',
+      '2026-12-14',
+      '2026-12-15',
+      '2026-12-16',
+      '2026-12-17',
+      '2026-12-18',
+      '2026-12-19',
+    ]);
+  });
+
+  it('pads the month to whole weeks', () => {
+    const weeks = getMonthWeeks('2026-12-19');
+    assert.equal(weeks.length, 5);
+    assert.equal(weeks[0][0], '2026-11-29');
+    assert.equal(weeks[4][6], '2027-01-02');
+    assert.equal(getMonthWeeks('2026-02-10').length, 4);
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CATEGORY_RULES, classifyCourse, describeCategories } from '../scripts/categories.js';
+
+describe('classifyCourse', () => {
+  it('detects series, topics and the no-credit marker', () => {
+    assert.deepEqual(classifyCourse({ title: '115年度大東講堂「街頭塗鴉與藝術 」(本場無積分)' }), [
+      'dadong',
+      'culture',
+      'no-credits',
+    ]);
+    assert.deepEqual(
+      classifyCourse({ title: '(建照委審教育訓練三)「變更使用、簡易室內裝修竣工審查實務分享」' }),
+      ['permit-training', 'regulation', 'interior'],
+    );
+    assert.deepEqual(classifyCourse({ title: '115年度大東講堂「你的房子安全嗎？都更、危老」' }), [
+      'dadong',
+      'renewal',
+    ]);
+  });
+
+  it('matches full-width letters and leaves unknown titles untagged', () => {
+    assert.deepEqual(classifyCourse({ title: 'ＡＩ 物聯網（ＡＩｏＴ）在工程監測之應用' }), [
+      'construction',
+      'digital',
+    ]);
+    assert.deepEqual(classifyCourse({ title: '會員大會' }), []);
+    assert.deepEqual(classifyCourse({}), []);
+  });
+});
+
+describe('describeCategories', () => {
+  it('lists every rule once without its pattern', () => {
+    const categories = describeCategories();
+    assert.equal(new Set(categories.map((category) => category.id)).size, CATEGORY_RULES.length);
+    assert.deepEqual(categories[0], { id: 'dadong', kind: 'series', label: '大東講堂' });
+  });
+});
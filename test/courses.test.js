@@ -0,0 +1,246 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  classifyDeadline,
+  classifyLink,
+  classifyRegistration,
+  enrichCourse,
+  findSearchMatches,
+  formatCreditValue,
+  formatCredits,
+  formatTaipeiDate,
+  getCourseId,
+  isExpired,
+  matchesSearch,
+  parseDate,
+  scoreSearch,
+  tokenizeSearch,
+} from '../lib/courses.js';
+
+// 2026-10-19 10:00 in Taipei
+const NOW = Date.parse('2026-10-19T02:00:00Z');
+
+describe('parseDate', () => {
+  it('reads plain dates as the start of the day in Taipei', () => {
+    assert.equal(parseDate('2026-10-19').toISOString(), '2026-10-18T16:00:00.000Z');
+    assert.equal(parseDate('2026/10/19').toISOString(), '2026-10-18T16:00:00.000Z');
+  });
+
+  it('returns null for missing or invalid values', () => {
+    assert.equal(parseDate(null), null);
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate('尚未公布'), null);
+  });
+});
+
+describe('formatTaipeiDate', () => {
+  it('uses the Taipei calendar day, not UTC', () => {
+    assert.equal(formatTaipeiDate(Date.parse('2026-10-18T17:00:00Z')), '2026-10-19');
+  });
+});
+
+describe('classifyDeadline', () => {
+  it('keeps a course open for its whole day', () => {
+    const lateEvening = Date.parse('2026-10-19T15:30:00Z');
+    const { deadlineCategory, daysUntilDeadline } = classifyDeadline('2026-10-19', {
+      now: lateEvening,
+    });
+    assert.equal(deadlineCategory, 'due-soon');
+    assert.equal(daysUntilDeadline, 0);
+    assert.equal(isExpired('2026-10-19', { now: lateEvening }), false);
+  });
+
+  it('expires a course the day after', () => {
+    assert.equal(classifyDeadline('2026-10-18', { now: NOW }).deadlineCategory, 'expired');
+    assert.equal(classifyDeadline('2026-10-18', { now: NOW }).daysUntilDeadline, -1);
+    assert.equal(isExpired('2026-10-18', { now: NOW }), true);
+  });
+
+  it('splits upcoming courses at seven days', () => {
+    assert.equal(classifyDeadline('2026-10-26', { now: NOW }).deadlineCategory, 'due-soon');
+    assert.equal(classifyDeadline('2026-10-27', { now: NOW }).deadlineCategory, 'active');
+  });
+
+  it('treats missing dates as no-deadline and never expired', () => {
+    assert.equal(classifyDeadline(null, { now: NOW }).deadlineCategory, 'no-deadline');
+    assert.equal(isExpired(null, { now: NOW }), false);
+  });
+});
+
+describe('getCourseId', () => {
+  it('prefers an explicit id', () => {
+    assert.equal(getCourseId({ id: 1281 }), '1281');
+  });
+
+  it('falls back to the b= parameter of the detail URL', () => {
+    const detailUrl = 'https://www.kaa.org.tw/news_class_show.php?b=1281';
+    assert.equal(getCourseId({ detailUrl }), '1281');
+  });
+
+  it('returns null without a usable URL', () => {
+    assert.equal(getCourseId({ detailUrl: 'not a url' }), null);
+    assert.equal(getCourseId({}), null);
+  });
+});
+
+describe('enrichCourse', () => {
+  it('adds id, dates and status without dropping fields', () => {
+    const course = enrichCourse(
+      {
+        title: '大東講堂',
+        date: '2026-10-24',
+        deadline: '2026-10-24',
+        detailUrl: 'https://www.kaa.org.tw/news_class_show.php?b=1278',
+        credits: 20,
+      },
+      { now: NOW },
+    );
+    assert.equal(course.id, '1278');
+    assert.equal(course.source, 'kaa');
+    assert.equal(course.credits, 20);
+    assert.equal(course.deadlineCategory, 'due-soon');
+    assert.equal(course.daysUntilDeadline, 5);
+    assert.ok(course.issuedDate instanceof Date);
+  });
+
+  it('keeps the source of courses from other associations', () => {
+    assert.equal(enrichCourse({ source: 'taa' }, { now: NOW }).source, 'taa');
+  });
+
+  it('uses the course date when deadline is missing', () => {
+    assert.equal(enrichCourse({ date: '2026-01-01' }, { now: NOW }).deadlineCategory, 'expired');
+  });
+});
+
+describe('classifyRegistration', () => {
+  const course = (overrides) => ({ date: '2026-12-19', deadline: '2026-12-19', ...overrides });
+  const classify = (overrides) => classifyRegistration(course(overrides), { now: NOW });
+
+  it('trusts full and closed markers from the site', () => {
+    assert.equal(classify({ registrationMarker: 'full', registrationUrl: 'https://x' }), 'full');
+    assert.equal(classify({ registrationMarker: 'closed' }), 'closed');
+  });
+
+  it('closes after the registration deadline or the course day', () => {
+    assert.equal(classify({ registrationDeadline: '2026-10-18' }), 'closed');
+    assert.equal(classify({ registrationDeadline: '2026-10-19' }), 'open');
+    assert.equal(classify({ date: '2026-10-01', deadline: '2026-10-01' }), 'closed');
+  });
+
+  it('waits for the opening date', () => {
+    assert.equal(classify({ registrationOpens: '2026-10-20' }), 'not-yet-open');
+    assert.equal(classify({ registrationOpens: '2026-10-19' }), 'open');
+    assert.equal(classify({ registrationMarker: 'not-yet-open' }), 'not-yet-open');
+  });
+
+  it('is open with a sign-up link and unknown without one', () => {
+    assert.equal(classify({ registrationUrl: 'https://www.kaa.org.tw/course_apply.php' }), 'open');
+    assert.equal(classify({}), null);
+  });
+});
+
+describe('matchesSearch', () => {
+  const course = {
+    title: '115年度大東講堂「人文、風土、建築」',
+    time: '下午2：00~5：00',
+    date: '2026-10-24',
+    links: [{ label: '細節', url: 'https://www.kaa.org.tw/news_class_show.php?b=1278' }],
+    attachments: [{ label: 'Syllabus.pdf', url: 'https://www.kaa.org.tw/a.pdf' }],
+  };
+
+  it('matches title, date, time and link text case-insensitively', () => {
+    assert.ok(matchesSearch(course, '大東'));
+    assert.ok(matchesSearch(course, '2026-10'));
+    assert.ok(matchesSearch(course, '下午2'));
+    assert.ok(matchesSearch(course, 'syllabus'));
+  });
+
+  it('treats an empty query as a match and misses unrelated text', () => {
+    assert.ok(matchesSearch(course, '  '));
+    assert.equal(matchesSearch(course, '消防'), false);
+  });
+
+  it('requires every term and folds width and 臺/台 variants', () => {
+    assert.ok(matchesSearch(course, '大東 風土'));
+    assert.ok(matchesSearch(course, '大東　ＳＹＬＬＡＢＵＳ'));
+    assert.ok(matchesSearch(course, '下午2:00'));
+    assert.equal(matchesSearch(course, '大東 消防'), false);
+    assert.ok(matchesSearch({ title: '臺灣建築史' }, '台灣'));
+    assert.ok(matchesSearch({ title: '台灣建築史' }, '臺灣'));
+  });
+});
+
+describe('tokenizeSearch', () => {
+  it('splits on any whitespace and drops repeats', () => {
+    assert.deepEqual(tokenizeSearch(' 建照　審查 建照 '), ['建照', '審查']);
+    assert.deepEqual(tokenizeSearch('ＢＩＭ 臺南'), ['bim', '台南']);
+    assert.deepEqual(tokenizeSearch('   '), []);
+  });
+});
+
+describe('scoreSearch', () => {
+  it('ranks title hits above link and attachment hits', () => {
+    const terms = tokenizeSearch('消防');
+    const inTitle = scoreSearch({ title: '消防設備審查要點' }, terms);
+    const links = [{ label: '消防簡章', url: 'https://www.kaa.org.tw/a.pdf' }];
+    const inLink = scoreSearch({ title: '講習', links }, terms);
+    const inAttachment = scoreSearch({ title: '講習' }, terms, ['本課程介紹消防法規']);
+    assert.ok(inTitle > inLink);
+    assert.ok(inLink > inAttachment);
+    assert.ok(inAttachment > 0);
+    assert.equal(scoreSearch({ title: '講習' }, terms), 0);
+  });
+});
+
+describe('findSearchMatches', () => {
+  it('maps normalized matches back onto the original title', () => {
+    const title = '(建照委審教育訓練四)「建造執照審查」';
+    const slices = (text, query) =>
+      findSearchMatches(text, tokenizeSearch(query)).map(([start, end]) => text.slice(start, end));
+    assert.deepEqual(slices(title, '審查 建照'), ['建照', '審查']);
+    assert.deepEqual(slices('臺灣ＢＩＭ論壇', '台灣bim'), ['臺灣ＢＩＭ']);
+    assert.deepEqual(slices('審查審查', '審 審查'), ['審查審查']);
+    assert.deepEqual(slices(title, '消防'), []);
+  });
+});
+
+describe('credit formatting', () => {
+  it('drops trailing zeros and keeps one decimal place', () => {
+    assert.equal(formatCreditValue(20), '20');
+    assert.equal(formatCreditValue(1.5), '1.5');
+    assert.equal(formatCreditValue(1.25), '1.3');
+    assert.equal(formatCredits(20), '20 分');
+  });
+
+  it('returns null for missing values', () => {
+    assert.equal(formatCreditValue(null), null);
+    assert.equal(formatCredits(undefined), null);
+    assert.equal(formatCredits('abc'), null);
+  });
+});
+
+describe('classifyLink', () => {
+  it('detects registration links by label or URL', () => {
+    assert.equal(classifyLink({ label: '線上報名', url: 'https://x/a' }).isRegister, true);
+    assert.equal(
+      classifyLink({ label: '細節', url: 'https://www.kaa.org.tw/course_apply.php?b=1284' }).isRegister,
+      true,
+    );
+  });
+
+  it('detects downloads by label, PDF extension or download.php', () => {
+    assert.equal(classifyLink({ label: '檔案下載', url: 'https://x/a' }).isDownload, true);
+    assert.equal(classifyLink({ label: '', url: 'https://x/file.PDF' }).isDownload, true);
+    assert.equal(
+      classifyLink({ label: '', url: 'https://www.kaa.org.tw/download.php?b=advance/1' }).isDownload,
+      true,
+    );
+  });
+
+  it('leaves plain detail links unclassified', () => {
+    assert.deepEqual(
+      classifyLink({ label: '細節', url: 'https://www.kaa.org.tw/news_class_show.php?b=1' }),
+      { isRegister: false, isDownload: false },
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { dedupeCourses, normalizeTitle, titleSimilarity } from '../scripts/dedupe.js';
+import { detailUrl, makeCourse } from './helpers.js';
+
+const detail = (id) => ({ label: '細節', url: detailUrl(id) });
+const file = (name) => ({ label: name, url: `https://www.kaa.org.tw/download.php?b=${name}` });
+
+const course = (id, overrides = {}) =>
+  makeCourse(id, { title: '115年度大東講堂「街頭塗鴉與藝術」', date: '2026-12-19', ...overrides });
+
+describe('normalizeTitle', () => {
+  it('drops spacing, quotes, width differences and status notes', () => {
+    assert.equal(
+      normalizeTitle('115年度大東講堂「街頭塗鴉與藝術 」（本場無積分）'),
+      normalizeTitle('115年度大東講堂 街頭塗鴉與藝術(已額滿)'),
+    );
+    assert.equal(normalizeTitle('ＢＩＭ 講座'), 'bim講座');
+  });
+});
+
+describe('titleSimilarity', () => {
+  it('scores near-identical titles high and different topics low', () => {
+    assert.equal(titleSimilarity('大東講堂「綠建築」', '大東講堂「綠建築」 '), 1);
+    assert.ok(
+      titleSimilarity('建照委審教育訓練：消防設備審查要點', '建照委審教育訓練:消防設備審查要點說明') >
+        0.85,
+    );
+    assert.ok(titleSimilarity('大東講堂「街頭塗鴉與藝術」', '大東講堂「從社區營造到地景」') < 0.85);
+  });
+});
+
+describe('dedupeCourses', () => {
+  it('merges rows with the same detail id', () => {
+    const { courses, merges } = dedupeCourses([
+      course('1281', { page: 2 }),
+      course('1280', { title: '另一堂課' }),
+      course('1281', { page: 3, credits: 20 }),
+    ]);
+    assert.deepEqual(
+      courses.map((item) => [item.id, item.page, item.credits]),
+      [
+        ['1281', 2, 20],
+        ['1280', 1, null],
+      ],
+    );
+    assert.equal(merges.length, 1);
+    assert.equal(merges[0].reason, 'same-id');
+  });
+
+  it('folds a re-posting into the newer id and keeps the union of links', () => {
+    const { courses, merges } = dedupeCourses([
+      course('1279', { title: '115年度大東講堂「街頭塗鴉與藝術 」', attachments: [file('a')] }),
+      course('1281', {
+        title: '115年度大東講堂「街頭塗鴉與藝術」(本場無積分)',
+        attachments: [file('a'), file('b')],
+      }),
+    ]);
+    assert.equal(courses.length, 1);
+    const [merged] = courses;
+    assert.equal(merged.id, '1281');
+    assert.equal(merged.title, '115年度大東講堂「街頭塗鴉與藝術」(本場無積分)');
+    assert.deepEqual(merged.aliasIds, ['1279']);
+    assert.deepEqual(merged.links, [detail('1281'), detail('1279')]);
+    assert.deepEqual(merged.attachments, [file('a'), file('b')]);
+    assert.deepEqual(merges, [
+      {
+        reason: 'similar-title',
+        kept: { source: 'kaa', id: '1281', title: merged.title, date: '2026-12-19' },
+        merged: {
+          source: 'kaa',
+          id: '1279',
+          title: '115年度大東講堂「街頭塗鴉與藝術 」',
+          date: '2026-12-19',
+        },
+      },
+    ]);
+  });
+
+  it('keeps the credits and registration note of the newer posting', () => {
+    const { courses } = dedupeCourses([
+      course('1279', { credits: 20, registrationMarker: 'full' }),
+      course('1281', { title: '115年度大東講堂「街頭塗鴉與藝術」(本場無積分)' }),
+    ]);
+    assert.equal(courses.length, 1);
+    assert.equal(courses[0].credits, null);
+    assert.equal(courses[0].registrationMarker, undefined);
+  });
+
+  it('keeps sessions and ordinals held on the same day apart', () => {
+    const pairs = [
+      ['115年度建照委審教育訓練-業務執行說明(上午場)', '115年度建照委審教育訓練-業務執行說明(下午場)'],
+      ['115年度建照委審教育訓練-第一梯次', '115年度建照委審教育訓練-第二梯次'],
+      ['115年度大東講堂「城市與記憶」第3講', '115年度大東講堂「城市與記憶」第4講'],
+    ];
+    pairs.forEach(([first, second]) => {
+      assert.ok(titleSimilarity(first, second) >= 0.85, `${first} / ${second}`);
+      const { courses, merges } = dedupeCourses([
+        course('1290', { title: first }),
+        course('1291', { title: second }),
+      ]);
+      assert.deepEqual(
+        courses.map((item) => item.id),
+        ['1290', '1291'],
+      );
+      assert.deepEqual(merges, []);
+    });
+  });
+
+  it('keeps similar titles on different days or from different sources apart', () => {
+    const { courses, merges } = dedupeCourses([
+      course('1279'),
+      course('1281', { date: '2026-12-26' }),
+      course('taa-12', { source: 'taa' }),
+    ]);
+    assert.equal(courses.length, 3);
+    assert.deepEqual(merges, []);
+  });
+});
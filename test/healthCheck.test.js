@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  checkScrapeHealth,
+  findAnomalies,
+  formatHealthReport,
+  validatePayload,
+} from '../scripts/healthCheck.js';
+import { makeCourse } from './helpers.js';
+
+const course = (overrides = {}) =>
+  makeCourse('1281', {
+    title: '115年度大東講堂',
+    date: '2099-12-19',
+    deadline: '2099-12-19',
+    startAt: '2099-12-19T14:00:00+08:00',
+    endAt: '2099-12-19T17:00:00+08:00',
+    checkInAt: null,
+    durationMinutes: 180,
+    credits: 20,
+    categories: ['dadong'],
+    ...overrides,
+  });
+
+const payload = (courses) => ({
+  sources: [
+    { id: 'kaa', name: '高雄市建築師公會', url: 'https://www.kaa.org.tw/news_class_list.php' },
+  ],
+  categories: [{ id: 'dadong', kind: 'series', label: '大東講堂' }],
+  updatedAt: '2099-01-01T00:00:00.000Z',
+  total: courses.length,
+  courses,
+});
+
+const many = (count, overrides) =>
+  Array.from({ length: count }, (_, index) => course({ id: String(index), ...overrides }));
+
+describe('validatePayload', () => {
+  it('accepts a well-formed payload', () => {
+    assert.deepEqual(validatePayload(payload([course()])), []);
+  });
+
+  it('names the offending course', () => {
+    const errors = validatePayload(payload([course({ detailUrl: 'javascript:void(0)' })]));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^\/courses\/0\/detailUrl \(115年度大東講堂\)/);
+  });
+
+  it('rejects an empty course list', () => {
+    assert.notDeepEqual(validatePayload(payload([])), []);
+  });
+});
+
+describe('findAnomalies', () => {
+  it('skips the first run', () => {
+    assert.deepEqual(findAnomalies([], many(1)), []);
+  });
+
+  it('flags a course count that more than halves', () => {
+    assert.deepEqual(findAnomalies(many(10), many(4)), ['課程數量由 10 筆降為 4 筆']);
+    assert.deepEqual(findAnomalies(many(10), many(5)), []);
+  });
+
+  it('flags collapsing parse rates', () => {
+    assert.deepEqual(findAnomalies(many(10), many(10, { credits: null, time: null })), [
+      '上課時間解析率由 100% 降為 0%',
+      '課程總分解析率由 100% 降為 0%',
+    ]);
+  });
+
+  it('ignores credits of expired courses, which are never re-fetched', () => {
+    const expired = { date: '2000-01-01', deadline: '2000-01-01', credits: null };
+    assert.deepEqual(findAnomalies(many(10), many(10, expired)), []);
+  });
+});
+
+describe('checkScrapeHealth', () => {
+  it('fails on anomalies unless explicitly allowed', () => {
+    const input = { payload: payload(many(2)), previous: many(10) };
+    const blocked = checkScrapeHealth({ ...input, env: {} });
+    assert.equal(blocked.ok, false);
+    assert.match(formatHealthReport(blocked), /保留上一版資料/);
+
+    const allowed = checkScrapeHealth({ ...input, env: { ALLOW_SCRAPE_ANOMALIES: '1' } });
+    assert.equal(allowed.ok, true);
+    assert.match(formatHealthReport(allowed), /仍寫入資料/);
+  });
+
+  it('never lets a schema violation through', () => {
+    const result = checkScrapeHealth({
+      payload: payload([course({ title: '' })]),
+      previous: [],
+      env: { ALLOW_SCRAPE_ANOMALIES: '1' },
+    });
+    assert.equal(result.ok, false);
+  });
+});
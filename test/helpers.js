@@ -0,0 +1,22 @@
+// Course records shared by the test files; each file overrides what it checks.
+
+export const detailUrl = (id) => `https://www.kaa.org.tw/news_class_show.php?b=${id}`;
+
+export function makeCourse(id, overrides = {}) {
+  const date = overrides.date ?? '2026-10-20';
+  return {
+    id,
+    source: 'kaa',
+    title: `課程 ${id}`,
+    date,
+    deadline: date,
+    time: '下午2：00~5：00',
+    links: [{ label: '細節', url: detailUrl(id) }],
+    detailUrl: detailUrl(id),
+    registrationUrl: null,
+    page: 1,
+    credits: null,
+    attachments: [],
+    ...overrides,
+  };
+}
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getCourseUid } from '../lib/ics.js';
+
+describe('getCourseUid', () => {
+  it('keeps the kaa-course UIDs of KAA courses and of records without a source', () => {
+    assert.equal(getCourseUid({ id: '1281', source: 'kaa' }), 'kaa-course-1281@kaa.org.tw');
+    assert.equal(getCourseUid({ id: '1281' }), 'kaa-course-1281@kaa.org.tw');
+  });
+
+  it('prefixes other sources so the same id does not collide', () => {
+    assert.equal(getCourseUid({ id: '1281', source: 'taa' }), 'taa-course-1281@kaa.org.tw');
+    const untitled = { date: '2026-12-19', title: '大東講堂' };
+    assert.notEqual(getCourseUid(untitled), getCourseUid({ ...untitled, source: 'taa' }));
+    assert.match(getCourseUid({ ...untitled, source: 'taa' }), /^taa-course-[0-9a-f]+@kaa\.org\.tw$/);
+  });
+});
@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import {
+  buildCourseBubble,
+  buildCourseMessages,
+  getLineConfig,
+  notifyAfterScrape,
+  pushMessages,
+} from '../scripts/lineNotifier.js';
+import { makeCourse as course } from './helpers.js';
+
+const CONFIG = { token: 'test-token', to: 'C0ffee', apiBase: 'https://line.test' };
+// 10:00 and 08:00 in Taipei on 2026-10-19
+const MORNING = new Date('2026-10-19T02:00:00Z');
+const EARLY = new Date('2026-10-19T00:00:00Z');
+
+// records push API calls; `failAt` makes that call (0-based) answer 500
+function fakePushFetch({ failAt = -1 } = {}) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const ok = calls.length !== failAt;
+    calls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return { ok, status: ok ? 200 : 500, text: async () => 'server error' };
+  };
+  return { calls, fetchImpl };
+}
+
+const bubbleTitles = (body) =>
+  body.messages
+    .flatMap((message) => message.contents.contents)
+    .map((bubble) => bubble.body.contents[0].text);
+
+describe('buildCourseBubble', () => {
+  it('lists date, time, credits and venue with sign-up and detail buttons', () => {
+    const bubble = buildCourseBubble(
+      course('1270', {
+        credits: 20,
+        venue: '公會 3F 大禮堂',
+        registrationUrl: 'https://www.kaa.org.tw/course_apply.php?b=1270',
+      }),
+    );
+    assert.equal(bubble.body.contents[0].text, '課程 1270');
+    const rows = bubble.body.contents[1].contents.map((row) =>
+      row.contents.map((cell) => cell.text),
+    );
+    assert.deepEqual(rows, [
+      ['日期', '2026-10-20'],
+      ['時間', '下午2：00~5：00'],
+      ['學分', '20 分'],
+      ['地點', '公會 3F 大禮堂'],
+    ]);
+    assert.deepEqual(
+      bubble.footer.contents.map((button) => [button.style, button.action.label]),
+      [
+        ['primary', '線上報名'],
+        ['secondary', '課程資訊'],
+      ],
+    );
+  });
+
+  it('marks courses without credits and leaves out an empty footer', () => {
+    const bubble = buildCourseBubble(course('1289', { detailUrl: null }));
+    assert.equal(bubble.body.contents[1].contents[2].contents[1].text, '無積分');
+    assert.equal(bubble.footer, undefined);
+  });
+});
+
+describe('buildCourseMessages', () => {
+  it('splits courses into carousels of 12 bubbles', () => {
+    const courses = Array.from({ length: 13 }, (_, index) => course(String(1200 + index)));
+    const messages = buildCourseMessages(courses, '新課程上架（13 堂）');
+    assert.deepEqual(
+      messages.map((message) => message.contents.contents.length),
+      [12, 1],
+    );
+    assert.match(messages[0].altText, /^新課程上架（13 堂）\n・課程 1200/);
+  });
+});
+
+describe('pushMessages', () => {
+  it('sends at most five messages per request', async () => {
+    const { calls, fetchImpl } = fakePushFetch();
+    const messages = Array.from({ length: 7 }, (_, index) => ({ type: 'text', text: `${index}` }));
+    await pushMessages(messages, CONFIG, fetchImpl);
+    assert.deepEqual(
+      calls.map((call) => [call.url, call.body.to, call.body.messages.length]),
+      [
+        ['https://line.test/v2/bot/message/push', 'C0ffee', 5],
+        ['https://line.test/v2/bot/message/push', 'C0ffee', 2],
+      ],
+    );
+    assert.equal(calls[0].headers.Authorization, 'Bearer test-token');
+  });
+
+  it('needs a token and a recipient', async () => {
+    await assert.rejects(
+      pushMessages([], { ...CONFIG, to: null }, fakePushFetch().fetchImpl),
+      /LINE_CHANNEL_ACCESS_TOKEN and LINE_TO are required/,
+    );
+  });
+
+  it('fails on an error response', async () => {
+    const { fetchImpl } = fakePushFetch({ failAt: 0 });
+    await assert.rejects(
+      pushMessages([{ type: 'text', text: 'x' }], CONFIG, fetchImpl),
+      /LINE push failed: HTTP 500 server error/,
+    );
+  });
+
+  describe('against a local server through LINE_API_BASE', () => {
+    const received = [];
+    let server;
+    let apiBase;
+
+    before(async () => {
+      server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => {
+          body += chunk;
+        });
+        request.on('end', () => {
+          received.push({ path: request.url, auth: request.headers.authorization, body });
+          response.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      apiBase = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('posts to the configured origin', async () => {
+      const config = getLineConfig({
+        LINE_CHANNEL_ACCESS_TOKEN: 'local-token',
+        LINE_TO: 'Ulocal',
+        LINE_API_BASE: apiBase,
+      });
+      await pushMessages([{ type: 'text', text: '測試' }], config);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].path, '/v2/bot/message/push');
+      assert.equal(received[0].auth, 'Bearer local-token');
+      assert.deepEqual(JSON.parse(received[0].body), {
+        to: 'Ulocal',
+        messages: [{ type: 'text', text: '測試' }],
+      });
+    });
+  });
+});
+
+describe('notifyAfterScrape', () => {
+  let dir;
+  let statePath;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'line-notify-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const run = (options) => notifyAfterScrape({ statePath, config: CONFIG, ...options });
+
+  it('does nothing when LINE is not configured', async () => {
+    const { calls, fetchImpl } = fakePushFetch();
+    const result = await notifyAfterScrape({
+      added: [course('1290')],
+      courses: [],
+      config: { ...CONFIG, token: null },
+      fetchImpl,
+    });
+    assert.deepEqual(result, { skipped: true, added: 0, reminders: 0 });
+    assert.deepEqual(calls, []);
+  });
+
+  it('pushes new courses and waits until 09:00 for the reminder', async () => {
+    statePath = path.join(dir, 'early.json');
+    const { calls, fetchImpl } = fakePushFetch();
+    const result = await run({
+      added: [course('1290')],
+      courses: [course('1289')],
+      now: EARLY,
+      fetchImpl,
+    });
+    assert.deepEqual(result, { skipped: false, added: 1, reminders: 0 });
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].body.messages[0].altText, /^新課程上架（1 堂）/);
+    await assert.rejects(fs.access(statePath));
+  });
+
+  it('sends tomorrow\'s reminder once a day', async () => {
+    statePath = path.join(dir, 'reminder.json');
+    const courses = [course('1289'), course('1281', { date: '2026-12-19' })];
+
+    const first = fakePushFetch();
+    const result = await run({ added: [], courses, now: MORNING, fetchImpl: first.fetchImpl });
+    assert.deepEqual(result, { skipped: false, added: 0, reminders: 1 });
+    assert.deepEqual(bubbleTitles(first.calls[0].body), ['課程 1289']);
+    assert.match(first.calls[0].body.messages[0].altText, /^明天開課（2026-10-20）/);
+    assert.deepEqual(JSON.parse(await fs.readFile(statePath, 'utf8')), {
+      lastReminderFor: '2026-10-20',
+    });
+
+    const second = fakePushFetch();
+    const later = new Date('2026-10-19T05:00:00Z');
+    await run({ added: [], courses, now: later, fetchImpl: second.fetchImpl });
+    assert.deepEqual(second.calls, []);
+  });
+
+  it('keeps the reminder pending when the push fails', async () => {
+    statePath = path.join(dir, 'failed.json');
+    const { fetchImpl } = fakePushFetch({ failAt: 0 });
+    await assert.rejects(
+      run({ added: [], courses: [course('1289')], now: MORNING, fetchImpl }),
+      /LINE push failed/,
+    );
+    await assert.rejects(fs.access(statePath));
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { handleWebhook, verifySignature } from '../scripts/lineWebhook.js';
+import { makeCourse } from './helpers.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/line');
+const SECRET = 'test-channel-secret';
+const CONFIG = { token: 'test-token', to: null, apiBase: 'https://line.test' };
+// a Monday, so 本週 runs 2026-10-19 ~ 2026-10-25
+const NOW = Date.parse('2026-10-19T02:00:00Z');
+
+const readPayload = (name) => fs.readFile(path.join(FIXTURES, `${name}.json`));
+const sign = (body, secret = SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+const course = (id, title, date, overrides = {}) => makeCourse(id, { title, date, ...overrides });
+const STREET_ART = '115年度大東講堂「街頭塗鴉與藝術」';
+const COURSES = [
+  course('1289', '暫定學術講習', '2026-10-21'),
+  course('1281', STREET_ART, '2026-12-19', {
+    registrationUrl: 'https://www.kaa.org.tw/course_apply.php?b=1281',
+  }),
+  course('1270', '建照委審教育訓練：變更使用審查', '2026-11-02', { credits: 20 }),
+  course('1250', '115年度大東講堂「城市與記憶」', '2026-09-12', { credits: 10 }),
+];
+
+// records reply API calls and answers like LINE does
+function fakeReplyFetch({ status = 200 } = {}) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return { ok: status === 200, status, text: async () => '{"message":"Invalid reply token"}' };
+  };
+  return { calls, fetchImpl };
+}
+
+async function replay(name, { fetch = fakeReplyFetch(), signature } = {}) {
+  const body = await readPayload(name);
+  const result = await handleWebhook(body, signature ?? sign(body), {
+    channelSecret: SECRET,
+    config: CONFIG,
+    loadCourses: async () => COURSES,
+    fetchImpl: fetch.fetchImpl,
+    now: NOW,
+  });
+  return { result, calls: fetch.calls };
+}
+
+// titles of the course bubbles across every flex message of a reply
+function bubbleTitles(messages) {
+  return messages
+    .filter((message) => message.type === 'flex')
+    .flatMap((message) => message.contents.contents)
+    .map((bubble) => bubble.body.contents[0].text);
+}
+
+describe('verifySignature', () => {
+  it('accepts the HMAC-SHA256 of the raw body', async () => {
+    const body = await readPayload('weekly');
+    assert.equal(verifySignature(body, sign(body), SECRET), true);
+  });
+
+  it('rejects a tampered body or a signature made with another secret', async () => {
+    const body = await readPayload('weekly');
+    const tampered = Buffer.from(body.toString('utf8').replace('本週課程', '有學分'));
+    assert.equal(verifySignature(tampered, sign(body), SECRET), false);
+    assert.equal(verifySignature(body, sign(body, 'another-secret'), SECRET), false);
+    assert.equal(verifySignature(body, 'bm90LWEtc2lnbmF0dXJl', SECRET), false);
+  });
+
+  it('rejects a missing signature or secret', async () => {
+    const body = await readPayload('weekly');
+    assert.equal(verifySignature(body, undefined, SECRET), false);
+    assert.equal(verifySignature(body, sign(body), undefined), false);
+  });
+});
+
+describe('handleWebhook', () => {
+  it('answers 401 without replying when the signature does not match', async () => {
+    const { result, calls } = await replay('weekly', { signature: sign('{}') });
+    assert.equal(result.status, 401);
+    assert.deepEqual(calls, []);
+  });
+
+  it('replies to 本週課程 with the courses of this week', async () => {
+    const { result, calls } = await replay('weekly');
+    assert.equal(result.status, 200);
+    assert.equal(calls.length, 1);
+    const [call] = calls;
+    assert.equal(call.url, 'https://line.test/v2/bot/message/reply');
+    assert.equal(call.headers.Authorization, 'Bearer test-token');
+    assert.equal(call.body.replyToken, 'reply-weekly');
+    assert.deepEqual(bubbleTitles(call.body.messages), ['暫定學術講習']);
+    assert.match(call.body.messages[0].altText, /^本週課程（2026-10-19 ~ 2026-10-25）/);
+  });
+
+  it('replies to 有學分 with upcoming courses that carry credits', async () => {
+    const { calls } = await replay('credits');
+    assert.deepEqual(bubbleTitles(calls[0].body.messages), ['建照委審教育訓練：變更使用審查']);
+  });
+
+  it('searches upcoming courses for any other text', async () => {
+    const { calls } = await replay('search');
+    const { messages } = calls[0].body;
+    assert.deepEqual(bubbleTitles(messages), [STREET_ART]);
+    assert.match(messages[0].altText, /^「大東講堂」搜尋結果/);
+    const [button] = messages[0].contents.contents[0].footer.contents;
+    assert.equal(button.action.uri, 'https://www.kaa.org.tw/course_apply.php?b=1281');
+  });
+
+  it('looks a course up by id', async () => {
+    const { calls } = await replay('course-id');
+    assert.deepEqual(bubbleTitles(calls[0].body.messages), [STREET_ART]);
+  });
+
+  it('says so when the id is unknown', async () => {
+    const { calls } = await replay('unknown-id');
+    const { messages } = calls[0].body;
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].type, 'text');
+    assert.match(messages[0].text, /^課程 9999：找不到符合的課程。/);
+  });
+
+  it('ignores events that are not text messages', async () => {
+    const { result, calls } = await replay('join');
+    assert.deepEqual(result, { status: 200, replies: [] });
+    assert.deepEqual(calls, []);
+  });
+
+  it('fails when the reply API refuses the message', async () => {
+    await assert.rejects(
+      replay('weekly', { fetch: fakeReplyFetch({ status: 400 }) }),
+      /LINE reply failed: HTTP 400/,
+    );
+  });
+});
@@ -0,0 +1,306 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import {
+  diffCourses,
+  fetchCourseDetail,
+  fetchCourseDetailCached,
+} from '../scripts/fetchCourses.js';
+import { parseCourseDetail, parseCourses } from '../scripts/sources/kaa.js';
+import {
+  decodeHtml,
+  findRegistrationMarker,
+  parseCourseTime,
+  parseDates,
+} from '../scripts/sources/shared.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/kaa');
+
+const readFixture = (name) => fs.readFile(path.join(FIXTURES, name));
+const readExpected = async (name) =>
+  JSON.parse(await fs.readFile(path.join(FIXTURES, `${name}.expected.json`), 'utf8'));
+
+// serves fixture files the way fetch() would, without touching the network;
+// a route with an etag answers a matching If-None-Match with 304
+function fixtureFetch(routes) {
+  const requested = [];
+  const fetchImpl = async (url, init = {}) => {
+    requested.push(String(url));
+    const route = routes[String(url)];
+    if (!route) {
+      return { ok: false, status: 404, statusText: 'Not Found', headers: new Headers() };
+    }
+    if (route.etag && init.headers?.['If-None-Match'] === route.etag) {
+      return { ok: false, status: 304, statusText: 'Not Modified', headers: new Headers() };
+    }
+    const body = await readFixture(route.file);
+    const headers = new Headers(route.contentType ? { 'content-type': route.contentType } : {});
+    if (route.etag) headers.set('etag', route.etag);
+    return {
+      ok: true,
+      status: 200,
+      statusText: 'OK',
+      headers,
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength),
+    };
+  };
+  return { fetchImpl, requested };
+}
+
+describe('parseCourses', () => {
+  it('parses the list page fixture', async () => {
+    const html = (await readFixture('list-page.html')).toString('utf8');
+    assert.deepEqual(parseCourses(html), await readExpected('list-page'));
+  });
+
+  it('returns nothing for a page without course rows', () => {
+    assert.deepEqual(parseCourses('<html><body><p>查無資料</p></body></html>'), []);
+  });
+});
+
+describe('fetchCourseDetail', () => {
+  const cases = [
+    ['detail-utf8', 'detail-utf8.html', 'text/html; charset=utf-8'],
+    ['detail-onclick', 'detail-onclick.html', 'text/html'],
+    ['detail-related', 'detail-related.html', 'text/html; charset=utf-8'],
+    ['detail-big5', 'detail-big5.html', 'text/html; charset=big5'],
+    ['detail-big5', 'detail-big5.html', null],
+    ['detail-big5', 'detail-big5-undeclared.html', 'text/html'],
+  ];
+
+  cases.forEach(([expected, file, contentType]) => {
+    it(`parses ${file} served as ${contentType ?? 'no content type'}`, async () => {
+      const url = `https://www.kaa.org.tw/news_class_show.php?b=${file}`;
+      const { fetchImpl, requested } = fixtureFetch({ [url]: { file, contentType } });
+      const detail = await fetchCourseDetail(url, { fetchImpl });
+      assert.deepEqual(requested, [url]);
+      assert.deepEqual(detail, await readExpected(expected));
+    });
+  });
+
+  it('skips the request when there is no detail URL', async () => {
+    const { fetchImpl, requested } = fixtureFetch({});
+    const detail = await fetchCourseDetail(null, { fetchImpl });
+    assert.deepEqual(requested, []);
+    assert.equal(detail.credits, null);
+    assert.deepEqual(detail.attachments, []);
+    assert.deepEqual(detail.speakers, []);
+  });
+});
+
+describe('diffCourses', () => {
+  const detailUrl = (id) => `https://www.kaa.org.tw/news_class_show.php?b=${id}`;
+  // courses.json as written before courses carried an id
+  const legacy = (id, title, date) => ({
+    title,
+    date,
+    time: '下午2：00~5：00',
+    links: [{ label: '細節', url: detailUrl(id) }],
+    detailUrl: detailUrl(id),
+    credits: null,
+  });
+  const current = (id, title, date, overrides = {}) => ({
+    ...legacy(id, title, date),
+    id,
+    source: 'kaa',
+    links: [{ label: '課程資訊', url: detailUrl(id) }],
+    startAt: `${date}T14:00:00+08:00`,
+    ...overrides,
+  });
+
+  it('matches id-less records from an older file by their detail URL', () => {
+    const diff = diffCourses(
+      [legacy('1281', '大東講堂', '2026-12-19'), legacy('1270', '建照委審', '2026-11-02')],
+      [
+        current('1281', '大東講堂', '2026-12-19'),
+        current('1270', '建照委審', '2026-11-02', { credits: 20 }),
+        current('1290', '法益講座', '2026-12-26'),
+      ],
+    );
+    assert.deepEqual(diff.added, [{ id: '1290', title: '法益講座', date: '2026-12-26' }]);
+    assert.deepEqual(diff.removed, []);
+    assert.deepEqual(diff.modified, [
+      {
+        id: '1270',
+        title: '建照委審',
+        date: '2026-11-02',
+        changes: { credits: { from: null, to: 20 } },
+      },
+    ]);
+  });
+
+  it('reports a legacy record that dropped off as removed with its id', () => {
+    const diff = diffCourses([legacy('1279', '舊課程', '2026-10-01')], []);
+    assert.deepEqual(diff.removed, [{ id: '1279', title: '舊課程', date: '2026-10-01' }]);
+  });
+});
+
+describe('parseCourseDetail registration marker', () => {
+  const page = (rows) => `<html><body><table>${rows}</table></body></html>`;
+
+  it('reads a deadline row without a colon as a date, not as closed', async () => {
+    const html = (await readFixture('detail-related.html')).toString('utf8');
+    const detail = parseCourseDetail(html);
+    assert.equal(detail.registrationDeadline, '2026-12-10');
+    assert.equal(detail.registrationMarker, null);
+  });
+
+  it('dates a year-less deadline by the course date', () => {
+    const html = page('<tr><td>報名期間</td><td>即日起至12月10日止</td></tr>');
+    assert.equal(parseCourseDetail(html).registrationDeadline, null);
+    assert.equal(
+      parseCourseDetail(html, { date: '2026-12-19' }).registrationDeadline,
+      '2026-12-10',
+    );
+  });
+
+  it('ignores other courses marked full in navigation and descriptions', () => {
+    const menu = '<ul><li><a href="news_class_show.php?b=1279">(已額滿)大東講堂</a></li></ul>';
+    const html = `${menu}${page(
+      '<tr><td>課程名稱</td><td>法益講座</td></tr>' +
+        '<tr><td>課程說明</td><td>上一場已額滿，本場加開。</td></tr>',
+    )}`;
+    assert.equal(parseCourseDetail(html).registrationMarker, null);
+  });
+
+  it('reads the title, sign-up and registration period cells', () => {
+    const detail = (rows) => parseCourseDetail(page(rows)).registrationMarker;
+    assert.equal(detail('<tr><td>課程名稱</td><td>(已額滿)法益講座</td></tr>'), 'full');
+    assert.equal(detail('<tr><td>線上報名</td><td>名額已滿</td></tr>'), 'full');
+    assert.equal(detail('<tr><td>報名期間</td><td>報名已截止</td></tr>'), 'closed');
+    const signUp = '<a href="course_apply.php?b=1">線上報名</a>（尚未開放報名）';
+    assert.equal(detail(`<tr><td>報名</td><td>${signUp}</td></tr>`), 'not-yet-open');
+  });
+});
+
+describe('fetchCourseDetailCached', () => {
+  const url = 'https://www.kaa.org.tw/news_class_show.php?b=1281';
+  const now = new Date('2026-10-19T00:00:00Z');
+
+  it('parses a new page and records its validators and hash', async () => {
+    const { fetchImpl } = fixtureFetch({ [url]: { file: 'detail-utf8.html', etag: '"v1"' } });
+    const { status, entry } = await fetchCourseDetailCached(url, undefined, { fetchImpl, now });
+    assert.equal(status, 'updated');
+    assert.equal(entry.etag, '"v1"');
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+    assert.equal(entry.checkedAt, now.toISOString());
+    assert.deepEqual(entry.detail, await readExpected('detail-utf8'));
+  });
+
+  it('reuses the cached detail on 304', async () => {
+    const { fetchImpl } = fixtureFetch({ [url]: { file: 'detail-utf8.html', etag: '"v1"' } });
+    const cached = { url, etag: '"v1"', hash: 'stale', detail: { credits: 3 } };
+    const { status, entry } = await fetchCourseDetailCached(url, cached, { fetchImpl, now });
+    assert.equal(status, 'not-modified');
+    assert.deepEqual(entry.detail, { credits: 3 });
+  });
+
+  it('skips parsing when the body hash is unchanged', async () => {
+    const { fetchImpl } = fixtureFetch({ [url]: { file: 'detail-utf8.html' } });
+    const first = await fetchCourseDetailCached(url, undefined, { fetchImpl, now });
+    const cached = { ...first.entry, detail: { credits: 3 } };
+    const { status, entry } = await fetchCourseDetailCached(url, cached, { fetchImpl, now });
+    assert.equal(status, 'unchanged');
+    assert.deepEqual(entry.detail, { credits: 3 });
+  });
+
+  it('ignores an entry cached for another URL', async () => {
+    const { fetchImpl } = fixtureFetch({ [url]: { file: 'detail-utf8.html', etag: '"v1"' } });
+    const cached = { url: `${url}0`, etag: '"v1"', detail: { credits: 3 } };
+    const { status } = await fetchCourseDetailCached(url, cached, { fetchImpl, now });
+    assert.equal(status, 'updated');
+  });
+});
+
+describe('decodeHtml', () => {
+  it('keeps UTF-8 pages as they are', async () => {
+    const html = decodeHtml(await readFixture('detail-utf8.html'));
+    assert.match(html, /建照審查委員會/);
+  });
+
+  it('decodes undeclared Big5 pages', async () => {
+    const html = decodeHtml(await readFixture('detail-big5-undeclared.html'));
+    assert.match(html, /法規委員會/);
+  });
+});
+
+describe('parseCourseTime', () => {
+  const cases = [
+    ['下午2：00~5：00', { startAt: '14:00', endAt: '17:00', checkInAt: null, durationMinutes: 180 }],
+    [
+      '下午2:30~5:00(下午2:20開始報到)',
+      { startAt: '14:30', endAt: '17:00', checkInAt: '14:20', durationMinutes: 150 },
+    ],
+    [
+      '下午2：00~5：00(2點報到，2：20開課)',
+      { startAt: '14:20', endAt: '17:00', checkInAt: '14:00', durationMinutes: 160 },
+    ],
+    ['上午8：45報到，9：00出發', { startAt: '09:00', endAt: null, checkInAt: '08:45', durationMinutes: null }],
+    ['9：30~17：00', { startAt: '09:30', endAt: '17:00', checkInAt: null, durationMinutes: 450 }],
+    ['14:30~17:30 (14:00開始報到)', { startAt: '14:30', endAt: '17:30', checkInAt: '14:00', durationMinutes: 180 }],
+    [
+      '上午9:00~12:00，下午1:30~4:30(上午8:40報到)',
+      { startAt: '09:00', endAt: '16:30', checkInAt: '08:40', durationMinutes: 450 },
+    ],
+  ];
+
+  const toClock = (iso) => iso && iso.slice(11, 16);
+
+  cases.forEach(([text, expected]) => {
+    it(`parses "${text}"`, () => {
+      const result = parseCourseTime('2026-10-24', text);
+      assert.deepEqual(
+        {
+          startAt: toClock(result.startAt),
+          endAt: toClock(result.endAt),
+          checkInAt: toClock(result.checkInAt),
+          durationMinutes: result.durationMinutes,
+        },
+        expected,
+      );
+      if (result.startAt) assert.match(result.startAt, /^2026-10-24T\d{2}:\d{2}:00\+08:00$/);
+    });
+  });
+
+  it('returns empty fields without a date or time', () => {
+    const empty = { startAt: null, endAt: null, checkInAt: null, durationMinutes: null };
+    assert.deepEqual(parseCourseTime(null, '下午2:00~5:00'), empty);
+    assert.deepEqual(parseCourseTime('2026-10-24', null), empty);
+    assert.deepEqual(parseCourseTime('2026-10-24', '另行通知'), empty);
+  });
+});
+
+describe('parseDates', () => {
+  it('reads Gregorian, Minguo and full-width dates', () => {
+    assert.deepEqual(parseDates('2026/11/01 ~ 2026/12/10'), ['2026-11-01', '2026-12-10']);
+    assert.deepEqual(parseDates('即日起至115年12月10日止'), ['2026-12-10']);
+    assert.deepEqual(parseDates('１１５／１２／１０'), ['2026-12-10']);
+    assert.deepEqual(parseDates('下午2:00~5:00'), []);
+  });
+
+  it('takes the year of `before` when the text has none', () => {
+    assert.deepEqual(parseDates('即日起至12月10日止'), []);
+    assert.deepEqual(parseDates('即日起至12月10日止', { before: '2026-12-19' }), ['2026-12-10']);
+    assert.deepEqual(parseDates('11/20~12/28', { before: '2027-01-09' }), [
+      '2026-11-20',
+      '2026-12-28',
+    ]);
+    assert.deepEqual(parseDates('115/12/10', { before: '2099-01-01' }), ['2026-12-10']);
+  });
+});
+
+describe('findRegistrationMarker', () => {
+  it('reads full, closed and not-yet-open notes', () => {
+    assert.equal(findRegistrationMarker('(已額滿截止報名)新建建築能效評估'), 'full');
+    assert.equal(findRegistrationMarker('本課程報名已截止'), 'closed');
+    assert.equal(findRegistrationMarker('尚未開放報名'), 'not-yet-open');
+  });
+
+  it('ignores capacity notes and deadline labels', () => {
+    assert.equal(findRegistrationMarker('名額：限 120 人，額滿為止'), null);
+    assert.equal(findRegistrationMarker('報名截止：115/12/10'), null);
+    assert.equal(findRegistrationMarker('115年度大東講堂「人文、風土、建築」'), null);
+  });
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { DEFAULT_OPTIONS, resolveOptions } from '../scripts/scraperOptions.js';
+
+describe('resolveOptions', () => {
+  let cwd;
+
+  before(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-options-'));
+    await fs.mkdir(path.join(cwd, 'config'));
+  });
+
+  after(() => fs.rm(cwd, { recursive: true, force: true }));
+
+  const writeConfig = (name, config) =>
+    fs.writeFile(path.join(cwd, name), JSON.stringify(config), 'utf8');
+  const resolve = (argv) => resolveOptions(argv, { cwd });
+
+  it('uses the defaults without flags or a config file', async () => {
+    assert.deepEqual(await resolve([]), { ...DEFAULT_OPTIONS, help: false });
+  });
+
+  it('parses flags into camelCase options', async () => {
+    const options = await resolve([
+      '--pages',
+      '2',
+      '--backfill-pages',
+      '8',
+      '--rate-limit',
+      '0.5',
+      '--out',
+      'tmp/out',
+      '--source',
+      'kaa',
+      '--source',
+      'taa',
+      '--source',
+      'kaa',
+      '--dry-run',
+    ]);
+    assert.equal(options.pages, 2);
+    assert.equal(options.backfillPages, 8);
+    assert.equal(options.rateLimit, 0.5);
+    assert.equal(options.out, path.join(cwd, 'tmp/out'));
+    assert.deepEqual(options.sources, ['kaa', 'taa']);
+    assert.equal(options.dryRun, true);
+  });
+
+  it('keeps the detail cache apart from the output directory', async () => {
+    assert.equal(path.basename(DEFAULT_OPTIONS.cacheDir), '.cache');
+    const options = await resolve(['--out', 'site/data', '--cache-dir', '/tmp/scraper-cache']);
+    assert.equal(options.out, path.join(cwd, 'site/data'));
+    assert.equal(options.cacheDir, '/tmp/scraper-cache');
+  });
+
+  it('rejects invalid numbers and unknown flags', async () => {
+    await assert.rejects(resolve(['--pages', '0']), /pages must be a positive integer, got "0"/);
+    await assert.rejects(resolve(['--retries', 'two']), /retries must be a positive integer/);
+    await assert.rejects(resolve(['--rate-limit=-1']), /rateLimit must be zero or a positive/);
+    await assert.rejects(resolve(['--depth', '3']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+  });
+
+  it('stops at --help', async () => {
+    const options = await resolve(['--help', '--pages', 'nope']);
+    assert.equal(options.help, true);
+  });
+
+  describe('with a config file', () => {
+    it('reads scraper.config.json from the working directory', async () => {
+      await writeConfig('scraper.config.json', { pages: 3, concurrency: 2 });
+      try {
+        const options = await resolve([]);
+        assert.equal(options.pages, 3);
+        assert.equal(options.concurrency, 2);
+      } finally {
+        await fs.rm(path.join(cwd, 'scraper.config.json'));
+      }
+    });
+
+    it('lets flags override the file and resolves its paths next to it', async () => {
+      await writeConfig('config/fixtures.json', {
+        pages: 3,
+        retries: 5,
+        out: '../build/data',
+        fromFixtures: 'pages',
+        sources: 'kaa',
+      });
+      const options = await resolve(['--config', 'config/fixtures.json', '--pages', '1']);
+      assert.equal(options.pages, 1);
+      assert.equal(options.retries, 5);
+      assert.equal(options.out, path.join(cwd, 'build/data'));
+      assert.equal(options.fromFixtures, path.join(cwd, 'config/pages'));
+      assert.deepEqual(options.sources, ['kaa']);
+    });
+
+    it('rejects unknown keys and unreadable files', async () => {
+      await writeConfig('config/typo.json', { page: 2 });
+      await assert.rejects(
+        resolve(['--config', 'config/typo.json']),
+        /Unknown option "page" in .*typo\.json/,
+      );
+      await assert.rejects(
+        resolve(['--config', 'config/missing.json']),
+        /Unable to read config file .*missing\.json/,
+      );
+      await fs.writeFile(path.join(cwd, 'config/broken.json'), '{ pages: 2', 'utf8');
+      await assert.rejects(
+        resolve(['--config', 'config/broken.json']),
+        /Unable to read config file .*broken\.json/,
+      );
+    });
+  });
+
+  describe('--from-fixtures', () => {
+    it('needs an output directory so saved pages never replace data/', async () => {
+      await assert.rejects(
+        resolve(['--from-fixtures', 'fixtures']),
+        /fromFixtures needs an explicit out directory or dryRun/,
+      );
+    });
+
+    it('runs with --out, --dry-run or --only-detail', async () => {
+      const withOut = await resolve(['--from-fixtures', 'fixtures', '--out', 'out']);
+      assert.equal(withOut.fromFixtures, path.join(cwd, 'fixtures'));
+      assert.equal(withOut.out, path.join(cwd, 'out'));
+      assert.equal(withOut.cacheDir, path.join(cwd, 'out/.cache'));
+      await resolve(['--from-fixtures', 'fixtures', '--dry-run']);
+      await resolve(['--from-fixtures', 'fixtures', '--only-detail', '1281']);
+    });
+  });
+});